@@ -9,6 +9,7 @@
 const API = {
     baseURL: 'http://localhost:8080',
     token: null,
+    onWrite: null,  // Called with (endpoint, method) after each successful write (cross-tab sync)
 
     /**
      * Initialize API client
@@ -79,7 +80,9 @@ const API = {
                     if (!response.ok) {
                         throw new Error(`HTTP ${response.status}: ${response.statusText}`);
                     }
-                    return await response.text();
+                    const text = await response.text();
+                    this.notifyWrite(endpoint, config.method);
+                    return text;
                 }
 
                 const data = await response.json();
@@ -98,6 +101,7 @@ const API = {
                     throw new Error(errorMessage);
                 }
 
+                this.notifyWrite(endpoint, config.method);
                 return data;
             } catch (error) {
                 lastError = error;
@@ -128,6 +132,15 @@ const API = {
         throw lastError;
     },
 
+    /**
+     * Report a successful POST/PATCH/PUT/DELETE to the write listener
+     */
+    notifyWrite(endpoint, method = 'GET') {
+        if (this.onWrite && method !== 'GET') {
+            this.onWrite(endpoint, method);
+        }
+    },
+
     /**
      * Health check
      */
@@ -170,6 +183,28 @@ const API = {
         return this.request(`/v1/conversations/${conversationId}`, { method: 'GET' });
     },
 
+    /**
+     * Create conversation with existing messages (import)
+     * conversation: { title, messages: [{ content, isFromUser, timestamp }], settings, folderId }
+     */
+    async createConversation(conversation) {
+        return this.request('/v1/conversations', {
+            method: 'POST',
+            body: JSON.stringify(conversation)
+        });
+    },
+
+    /**
+     * Append messages to an existing conversation (e.g. a picked comparison answer)
+     * messages: [{ content, isFromUser, timestamp }]
+     */
+    async appendMessages(conversationId, messages) {
+        return this.request(`/v1/conversations/${conversationId}/messages`, {
+            method: 'POST',
+            body: JSON.stringify({ messages })
+        });
+    },
+
     /**
      * Delete conversation
      */
@@ -187,6 +222,36 @@ const API = {
         });
     },
 
+    /**
+     * Move conversation to a folder (null = no folder)
+     */
+    async moveConversation(conversationId, folderId) {
+        return this.request(`/v1/conversations/${conversationId}`, {
+            method: 'PATCH',
+            body: JSON.stringify({ folderId })
+        });
+    },
+
+    /**
+     * Update conversation fields (pinned, starred, archived, ...)
+     */
+    async updateConversation(conversationId, updates) {
+        return this.request(`/v1/conversations/${conversationId}`, {
+            method: 'PATCH',
+            body: JSON.stringify(updates)
+        });
+    },
+
+    /**
+     * Replace a conversation's tags
+     */
+    async updateConversationTags(conversationId, tags) {
+        return this.request(`/v1/conversations/${conversationId}`, {
+            method: 'PATCH',
+            body: JSON.stringify({ tags })
+        });
+    },
+
     /**
      * Send chat completion (non-streaming)
      */
@@ -199,25 +264,44 @@ const API = {
 
     /**
      * Send chat completion (streaming via SSE)
-     * Returns an EventSource object
+     * Returns a handle with cancel() to abort the in-flight response
      */
     chatCompletionStreaming(request, onChunk, onComplete, onError) {
         // For streaming, we need to use EventSource with POST body
         // SAM uses POST with stream:true parameter
+        // include_usage asks for token counts in a final chunk (empty choices)
         const streamRequest = {
             ...request,
-            stream: true
+            stream: true,
+            stream_options: { include_usage: true, ...request.stream_options }
         };
 
         // Create a unique request ID for tracking
         const requestId = Math.random().toString(36).substring(7);
 
+        // AbortController lets the UI stop a runaway generation
+        const controller = new AbortController();
+
+        const handleError = (error) => {
+            // Cancellation is initiated by the caller, which handles its own cleanup
+            if (error.name === 'AbortError') {
+                console.log('[API] Streaming request cancelled:', requestId);
+                return;
+            }
+            console.error('[API] Streaming error details:', error);
+            console.error('[API] Error name:', error.name);
+            console.error('[API] Error message:', error.message);
+            console.error('[API] Error stack:', error.stack);
+            if (onError) onError(error);
+        };
+
         // Use fetch for streaming response
         fetch(`${this.baseURL}/v1/chat/completions`, {
             method: 'POST',
             headers: this.getHeaders(),
             body: JSON.stringify(streamRequest),
-            mode: 'cors'
+            mode: 'cors',
+            signal: controller.signal
         })
         .then(response => {
             console.log('[API] Streaming response status:', response.status, response.statusText);
@@ -264,20 +348,91 @@ const API = {
                     }
 
                     processStream();
-                }).catch(error => {
-                    if (onError) onError(error);
-                });
+                }).catch(handleError);
             };
 
             processStream();
         })
-        .catch(error => {
-            console.error('[API] Streaming error details:', error);
-            console.error('[API] Error name:', error.name);
-            console.error('[API] Error message:', error.message);
-            console.error('[API] Error stack:', error.stack);
-            if (onError) onError(error);
-        });
+        .catch(handleError);
+
+        return {
+            requestId,
+
+            /**
+             * Abort the stream; no further callbacks fire after this
+             */
+            cancel() {
+                controller.abort();
+            }
+        };
+    },
+
+    /**
+     * Subscribe to the conversation change feed (server-sent events)
+     * Events: { type: 'conversation.created' | 'conversation.updated' | 'conversation.deleted', conversationId, updated }
+     * Returns a handle with cancel(); onClose(error) fires when the feed ends or fails
+     */
+    subscribeConversationEvents(onOpen, onEvent, onClose) {
+        const controller = new AbortController();
+
+        const handleError = (error) => {
+            // Cancellation is initiated by the caller
+            if (error.name === 'AbortError') return;
+            if (onClose) onClose(error);
+        };
+
+        fetch(`${this.baseURL}/v1/conversations/events`, {
+            method: 'GET',
+            headers: this.getHeaders({ 'Accept': 'text/event-stream' }),
+            mode: 'cors',
+            signal: controller.signal
+        })
+        .then(response => {
+            const contentType = response.headers.get('content-type') || '';
+            if (!response.ok || !contentType.includes('text/event-stream')) {
+                throw new Error(`HTTP ${response.status}: ${response.statusText}`);
+            }
+            if (onOpen) onOpen();
+
+            const reader = response.body.getReader();
+            const decoder = new TextDecoder();
+            let buffer = '';
+
+            const processStream = () => {
+                reader.read().then(({ done, value }) => {
+                    if (done) {
+                        if (onClose) onClose(null);
+                        return;
+                    }
+
+                    buffer += decoder.decode(value, { stream: true });
+                    const lines = buffer.split('\n');
+
+                    // Keep last incomplete line in buffer
+                    buffer = lines.pop() || '';
+
+                    for (const line of lines) {
+                        if (!line.startsWith('data: ')) continue;
+                        try {
+                            if (onEvent) onEvent(JSON.parse(line.substring(6)));
+                        } catch (e) {
+                            console.error('Failed to parse conversation event:', e, line);
+                        }
+                    }
+
+                    processStream();
+                }).catch(handleError);
+            };
+
+            processStream();
+        })
+        .catch(handleError);
+
+        return {
+            cancel() {
+                controller.abort();
+            }
+        };
     },
 
     /**
@@ -307,6 +462,34 @@ const API = {
         });
     },
 
+    /**
+     * Get autonomous workflow status (steps, tool calls, result)
+     */
+    async getWorkflowStatus(workflowId) {
+        return this.request(`/api/chat/autonomous/${workflowId}`, { method: 'GET' });
+    },
+
+    /**
+     * Pause autonomous workflow
+     */
+    async pauseWorkflow(workflowId) {
+        return this.request(`/api/chat/autonomous/${workflowId}/pause`, { method: 'POST' });
+    },
+
+    /**
+     * Resume paused autonomous workflow
+     */
+    async resumeWorkflow(workflowId) {
+        return this.request(`/api/chat/autonomous/${workflowId}/resume`, { method: 'POST' });
+    },
+
+    /**
+     * Stop autonomous workflow
+     */
+    async stopWorkflow(workflowId) {
+        return this.request(`/api/chat/autonomous/${workflowId}`, { method: 'DELETE' });
+    },
+
     /**
      * Download model
      */
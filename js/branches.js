@@ -0,0 +1,397 @@
+// SPDX-License-Identifier: GPL-3.0-only
+// SPDX-FileCopyrightText: Copyright (c) 2026 Andrew Wyatt (Fewtarius)
+
+/**
+ * Message Branches for SAM-Web
+ * Keeps a tree of message alternatives so editing a user message or
+ * regenerating a reply adds a branch instead of overwriting. The active path
+ * through the tree is the `messages` history the chat sends.
+ *
+ * Tree: { serverCount, root: Node }, Node: { message, children: [Node], active }
+ * Only conversations that actually branch are saved (localStorage), together
+ * with the server's message count so later server-side additions can be merged.
+ */
+
+const Branches = {
+    // State
+    conversationId: null,
+    tree: null,
+    stored: {},             // conversationId -> tree (branched conversations only)
+    maxConversations: 100,
+
+    /**
+     * Load saved trees
+     */
+    init() {
+        try {
+            this.stored = JSON.parse(localStorage.getItem('sam-web-branches') || '{}');
+        } catch (e) {
+            console.error('[Branches] Failed to parse saved branches:', e);
+            this.stored = {};
+        }
+    },
+
+    /**
+     * Start an empty tree (new conversation)
+     */
+    reset() {
+        this.conversationId = null;
+        this.tree = this.createTree([], 0);
+    },
+
+    /**
+     * Load a conversation's tree and return the active path as messages.
+     * Falls back to the server's linear history when nothing was saved or the
+     * server has fewer messages than when the tree was saved
+     */
+    load(conversationId, serverMessages) {
+        this.conversationId = conversationId;
+
+        const saved = this.stored[conversationId];
+        if (!saved || serverMessages.length < saved.serverCount) {
+            if (saved) this.forget(conversationId);
+            this.tree = this.createTree(serverMessages, serverMessages.length);
+            return this.getMessages();
+        }
+
+        this.tree = saved;
+
+        // Messages added elsewhere since the tree was saved go on the active path
+        // (skipping any the path already ends with, e.g. a workflow goal sent from here)
+        const added = serverMessages.slice(saved.serverCount);
+        if (added.length > 0) {
+            const path = this.getPath();
+            const known = this.countOverlap(path.map(node => node.message), added);
+
+            let node = path.pop() || this.tree.root;
+            added.slice(known).forEach(message => {
+                node = this.addChild(node, message);
+            });
+            this.tree.serverCount = serverMessages.length;
+            this.save();
+        }
+
+        return this.getMessages();
+    },
+
+    /**
+     * Active path of any conversation, like load() but without showing it or
+     * saving anything (e.g. for export)
+     */
+    peek(conversationId, serverMessages) {
+        const saved = conversationId === this.conversationId && this.tree ? this.tree : this.stored[conversationId];
+        if (!saved || serverMessages.length < saved.serverCount) {
+            return serverMessages;
+        }
+
+        const path = this.getPath(saved).map(node => node.message);
+        const added = serverMessages.slice(saved.serverCount);
+        return [...path, ...added.slice(this.countOverlap(path, added))];
+    },
+
+    /**
+     * Show a conversation whose tree is already in memory (a response is still
+     * streaming into it)
+     */
+    resume(conversationId, tree) {
+        this.conversationId = conversationId;
+        this.tree = tree;
+    },
+
+    /**
+     * Length of the longest end of `messages` that `added` starts with
+     */
+    countOverlap(messages, added) {
+        const same = (a, b) => a.role === b.role && a.content === b.content;
+
+        for (let k = Math.min(messages.length, added.length); k > 0; k--) {
+            const tail = messages.slice(-k);
+            if (tail.every((message, i) => same(message, added[i]))) return k;
+        }
+        return 0;
+    },
+
+    /**
+     * Build a linear tree from a message list
+     */
+    createTree(messages, serverCount) {
+        const tree = { serverCount, root: { children: [], active: 0 } };
+        let node = tree.root;
+        messages.forEach(message => {
+            node = this.addChild(node, message);
+        });
+        return tree;
+    },
+
+    /**
+     * Add a child node and make it the active one
+     */
+    addChild(parent, message) {
+        const child = { message, children: [], active: 0 };
+        parent.children.push(child);
+        parent.active = parent.children.length - 1;
+        return child;
+    },
+
+    /**
+     * Nodes along the active path
+     */
+    getPath(tree = this.tree) {
+        const path = [];
+        let node = tree.root;
+        while (node.children.length > 0) {
+            node = node.children[Math.min(node.active, node.children.length - 1)];
+            path.push(node);
+        }
+        return path;
+    },
+
+    /**
+     * Messages along the active path
+     */
+    getMessages() {
+        return this.getPath().map(node => node.message);
+    },
+
+    /**
+     * Bring the tree in line with the chat's messages. A message that differs
+     * from the one at its position starts a new branch (edit/regenerate);
+     * messages past the end of the path are appended.
+     * Pass the tree a response started with when it finished in the background
+     * (another conversation's tree is shown by then)
+     */
+    record(conversationId, messages, tree = null) {
+        if (tree && tree !== this.tree) {
+            this.extend(tree, messages);
+            this.saveTree(conversationId, tree);
+            return;
+        }
+
+        if (!this.tree) this.reset();
+        this.conversationId = conversationId;
+        this.extend(this.tree, messages);
+        this.save();
+    },
+
+    extend(tree, messages) {
+        let node = tree.root;
+        messages.forEach(message => {
+            const current = node.children[node.active];
+            node = current && current.message === message ? current : this.addChild(node, message);
+        });
+    },
+
+    /**
+     * Remember how many messages the server has after a send
+     */
+    setServerCount(conversationId, count, tree = null) {
+        const target = tree || (conversationId === this.conversationId ? this.tree : null);
+        if (!target) return;
+        target.serverCount = count;
+        this.saveTree(conversationId, target);
+    },
+
+    /**
+     * Branch position of the message at an index: { position, total } (1-based)
+     */
+    getInfo(index) {
+        const parent = this.getParent(index);
+        if (!parent) return { position: 1, total: 1 };
+        return { position: parent.active + 1, total: parent.children.length };
+    },
+
+    /**
+     * Parent node of the message at an index on the active path
+     */
+    getParent(index) {
+        if (!this.tree || index < 0) return null;
+        return index === 0 ? this.tree.root : this.getPath()[index - 1] || null;
+    },
+
+    /**
+     * Switch the message at an index to its previous/next alternative
+     * Returns the new active path
+     */
+    switchBranch(index, direction) {
+        const parent = this.getParent(index);
+        if (!parent) return this.getMessages();
+
+        const next = parent.active + direction;
+        if (next >= 0 && next < parent.children.length) {
+            parent.active = next;
+            this.save();
+        }
+
+        return this.getMessages();
+    },
+
+    /**
+     * Whether any message has alternatives
+     */
+    hasBranches(node = this.tree.root) {
+        return node.children.length > 1 || node.children.some(child => this.hasBranches(child));
+    },
+
+    /**
+     * Save the current tree (only when it branches - linear history lives on the server)
+     */
+    save() {
+        this.saveTree(this.conversationId, this.tree);
+    },
+
+    saveTree(conversationId, tree) {
+        if (!conversationId || !tree) return;
+
+        if (!this.hasBranches(tree.root)) {
+            this.forget(conversationId);
+            return;
+        }
+
+        // Re-insert so the most recently used trees are kept when trimming
+        delete this.stored[conversationId];
+        this.stored[conversationId] = tree;
+
+        const ids = Object.keys(this.stored);
+        ids.slice(0, Math.max(0, ids.length - this.maxConversations)).forEach(id => delete this.stored[id]);
+
+        this.persist();
+    },
+
+    /**
+     * Write saved trees, dropping the oldest ones if storage is full
+     */
+    persist() {
+        while (true) {
+            try {
+                localStorage.setItem('sam-web-branches', JSON.stringify(this.stored));
+                return;
+            } catch (error) {
+                const ids = Object.keys(this.stored);
+                if (ids.length <= 1) {
+                    console.error('[Branches] Failed to save branches:', error);
+                    return;
+                }
+                delete this.stored[ids[0]];
+            }
+        }
+    },
+
+    /**
+     * Forget a conversation's branches (deleted or no longer branched)
+     */
+    forget(conversationId) {
+        if (!this.stored[conversationId]) return;
+        delete this.stored[conversationId];
+        this.persist();
+    },
+
+    /**
+     * Edit/Regenerate buttons and "< 2/3 >" navigation under a message
+     * handlers: { locate() -> index, onEdit(index, content), onRegenerate(index), onNavigate(index, direction) }
+     */
+    renderControls(messageEl, role, handlers) {
+        const body = messageEl.querySelector('.message-body');
+        if (!body) return;
+
+        messageEl.querySelector('.message-branch-controls')?.remove();
+
+        const controls = document.createElement('div');
+        controls.className = 'message-branch-controls';
+
+        const index = handlers.locate();
+        const { position, total } = this.getInfo(index);
+
+        if (total > 1) {
+            const nav = document.createElement('span');
+            nav.className = 'branch-nav';
+            nav.innerHTML = `
+                <button type="button" class="branch-prev" title="Previous version" ${position === 1 ? 'disabled' : ''}>‹</button>
+                <span class="branch-position">${position}/${total}</span>
+                <button type="button" class="branch-next" title="Next version" ${position === total ? 'disabled' : ''}>›</button>
+            `;
+            nav.querySelector('.branch-prev').addEventListener('click', () => handlers.onNavigate(handlers.locate(), -1));
+            nav.querySelector('.branch-next').addEventListener('click', () => handlers.onNavigate(handlers.locate(), 1));
+            controls.appendChild(nav);
+        }
+
+        const action = document.createElement('button');
+        action.type = 'button';
+        action.className = 'branch-action';
+        if (role === 'user') {
+            action.textContent = '✏️ Edit';
+            action.title = 'Edit and resend (keeps the original as a branch)';
+            action.addEventListener('click', () => this.openEditor(messageEl, handlers));
+        } else {
+            action.textContent = '🔄 Regenerate';
+            action.title = 'Generate another response (keeps this one as a branch)';
+            action.addEventListener('click', () => handlers.onRegenerate(handlers.locate()));
+        }
+        controls.appendChild(action);
+
+        const actions = messageEl.querySelector('.message-actions');
+        if (actions) {
+            actions.prepend(controls);
+        } else {
+            body.appendChild(controls);
+        }
+    },
+
+    /**
+     * Inline editor for a user message
+     */
+    openEditor(messageEl, handlers) {
+        const index = handlers.locate();
+        const message = this.getMessages()[index];
+        if (!message) return;
+
+        const content = messageEl.querySelector('.message-content');
+        const controls = messageEl.querySelector('.message-branch-controls');
+        content.style.display = 'none';
+        if (controls) controls.style.display = 'none';
+
+        const editor = document.createElement('div');
+        editor.className = 'message-editor';
+        editor.innerHTML = `
+            <textarea class="form-input message-editor-input" rows="3"></textarea>
+            <div class="message-editor-actions">
+                <button type="button" class="btn btn-ghost btn-sm message-editor-cancel">Cancel</button>
+                <button type="button" class="btn btn-primary btn-sm message-editor-save">Save &amp; Send</button>
+            </div>
+        `;
+
+        const input = editor.querySelector('textarea');
+        input.value = message.content;
+
+        const close = () => {
+            editor.remove();
+            content.style.display = '';
+            if (controls) controls.style.display = '';
+        };
+
+        const submit = () => {
+            const text = input.value.trim();
+            if (!text || text === message.content) {
+                close();
+                return;
+            }
+            close();
+            handlers.onEdit(handlers.locate(), text);
+        };
+
+        editor.querySelector('.message-editor-cancel').addEventListener('click', close);
+        editor.querySelector('.message-editor-save').addEventListener('click', submit);
+        input.addEventListener('keydown', (e) => {
+            if (e.key === 'Enter' && !e.shiftKey) {
+                e.preventDefault();
+                submit();
+            } else if (e.key === 'Escape') {
+                e.stopPropagation();
+                close();
+            }
+        });
+
+        content.after(editor);
+        input.focus();
+        input.setSelectionRange(input.value.length, input.value.length);
+    }
+};
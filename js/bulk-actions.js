@@ -0,0 +1,381 @@
+// SPDX-License-Identifier: GPL-3.0-only
+// SPDX-FileCopyrightText: Copyright (c) 2026 Andrew Wyatt (Fewtarius)
+
+/**
+ * Bulk Actions for SAM-Web
+ * Shift/Ctrl-click multi-selection in the conversation list and a bulk action
+ * bar: delete (to the Trash, with undo), restore, move to folder, export,
+ * attach to a shared topic and tag. Runs report progress and partial failures.
+ */
+
+const BulkActions = {
+    // State
+    selectedIds: new Set(),
+    anchorId: null,         // Last plain/ctrl-clicked item (start of shift ranges)
+    running: 0,             // Runs started and not yet finished
+    queue: Promise.resolve(),   // Runs go one at a time, in the order they were started
+
+    /**
+     * Set up the action bar
+     */
+    init() {
+        const bar = document.getElementById('bulkActionBar');
+        if (!bar) return;
+
+        bar.querySelector('#bulkMoveBtn').addEventListener('click', (e) => this.showMoveMenu(e.currentTarget));
+        bar.querySelector('#bulkTopicBtn').addEventListener('click', (e) => this.showTopicMenu(e.currentTarget));
+        bar.querySelector('#bulkTagBtn').addEventListener('click', (e) => this.showTagMenu(e.currentTarget));
+        bar.querySelector('#bulkExportBtn').addEventListener('click', (e) => this.showExportMenu(e.currentTarget));
+        bar.querySelector('#bulkDeleteBtn').addEventListener('click', () => this.deleteSelected());
+        bar.querySelector('#bulkRestoreBtn').addEventListener('click', () => this.restoreSelected());
+        bar.querySelector('#bulkClearBtn').addEventListener('click', () => this.clearSelection());
+
+        // Escape clears the selection (but not while typing or with a menu open).
+        // Capture phase, so it doesn't also stop a streaming response
+        document.addEventListener('keydown', (e) => {
+            if (e.key !== 'Escape' || this.selectedIds.size === 0 || ContextMenu.menu) return;
+            if (e.target.matches('input, textarea, select')) return;
+            e.stopImmediatePropagation();
+            this.clearSelection();
+        }, true);
+    },
+
+    /**
+     * Handle a click on a conversation item. Returns true when the click
+     * changed the selection (the conversation should not be opened)
+     */
+    handleClick(e, conversationId) {
+        if (this.running) return false;
+
+        if (e.shiftKey) {
+            this.selectRange(this.anchorId || Conversations.activeConversationId, conversationId);
+        } else if (e.ctrlKey || e.metaKey) {
+            // Start from the open conversation so ctrl-click adds to it
+            if (this.selectedIds.size === 0 && Conversations.activeConversationId &&
+                Conversations.activeConversationId !== conversationId) {
+                this.selectedIds.add(Conversations.activeConversationId);
+            }
+            if (this.selectedIds.has(conversationId)) {
+                this.selectedIds.delete(conversationId);
+            } else {
+                this.selectedIds.add(conversationId);
+            }
+            this.anchorId = conversationId;
+        } else {
+            this.anchorId = conversationId;
+            if (this.selectedIds.size > 0) {
+                this.clearSelection();
+            }
+            return false;
+        }
+
+        // Clear the text selection shift-click creates
+        window.getSelection()?.removeAllRanges();
+        this.render();
+        return true;
+    },
+
+    /**
+     * Select every visible conversation between two items (inclusive)
+     */
+    selectRange(fromId, toId) {
+        const ids = this.getVisibleIds();
+        const from = ids.indexOf(fromId);
+        const to = ids.indexOf(toId);
+
+        if (from === -1 || to === -1) {
+            this.selectedIds.add(toId);
+            this.anchorId = toId;
+            return;
+        }
+
+        ids.slice(Math.min(from, to), Math.max(from, to) + 1).forEach(id => this.selectedIds.add(id));
+    },
+
+    /**
+     * Conversation IDs in sidebar order (collapsed folders are skipped)
+     */
+    getVisibleIds() {
+        return Array.from(document.querySelectorAll('#conversationList .conversation-item-main'))
+            .map(el => el.dataset.id);
+    },
+
+    isSelected(conversationId) {
+        return this.selectedIds.has(conversationId);
+    },
+
+    clearSelection() {
+        this.selectedIds.clear();
+        this.anchorId = null;
+        this.render();
+    },
+
+    /**
+     * Selected conversations that still exist
+     */
+    getSelected() {
+        return Conversations.conversations.filter(c => this.selectedIds.has(c.id));
+    },
+
+    /**
+     * Update item highlighting and the action bar
+     */
+    render() {
+        // Drop IDs of conversations that are gone
+        const ids = new Set(Conversations.conversations.map(c => c.id));
+        Array.from(this.selectedIds).forEach(id => {
+            if (!ids.has(id)) this.selectedIds.delete(id);
+        });
+
+        document.querySelectorAll('#conversationList .conversation-item').forEach(item => {
+            const id = item.querySelector('.conversation-item-main')?.dataset.id;
+            item.classList.toggle('selected', this.selectedIds.has(id));
+        });
+
+        const bar = document.getElementById('bulkActionBar');
+        if (!bar) return;
+
+        const count = this.selectedIds.size;
+        bar.style.display = count > 0 || this.running ? 'flex' : 'none';
+        document.getElementById('bulkSelectionCount').textContent = `${count} selected`;
+        bar.querySelectorAll('.bulk-actions button').forEach(button => {
+            button.disabled = this.running || count === 0;
+        });
+        document.getElementById('bulkTopicBtn').disabled = this.running || count === 0 || SharedTopics.topics.length === 0;
+
+        // The Trash view restores or deletes for good - nothing else applies there
+        const inTrash = Conversations.view === 'trash';
+        ['bulkMoveBtn', 'bulkTagBtn', 'bulkTopicBtn', 'bulkExportBtn'].forEach(id => {
+            document.getElementById(id).style.display = inTrash ? 'none' : '';
+        });
+        document.getElementById('bulkRestoreBtn').style.display = inTrash ? '' : 'none';
+        document.getElementById('bulkDeleteBtn').textContent = inTrash ? '🗑️ Delete Forever' : '🗑️ Delete';
+    },
+
+    /**
+     * Run an operation on each conversation, one at a time (after any run
+     * already in progress). fromSelection: started from the action bar, so the
+     * selection is replaced by the failures
+     * Returns { succeeded: [conversation], failed: [{ conversation, error }], fromSelection }
+     */
+    async run(label, conversations, operation, fromSelection = false) {
+        if (conversations.length === 0) return { succeeded: [], failed: [], fromSelection };
+
+        this.running++;
+        this.render();
+
+        const previous = this.queue;
+        let finished;
+        this.queue = new Promise(resolve => finished = resolve);
+        await previous;
+
+        const succeeded = [];
+        const failed = [];
+
+        try {
+            for (const [index, conversation] of conversations.entries()) {
+                this.renderProgress(label, index, conversations.length);
+                try {
+                    await operation(conversation);
+                    succeeded.push(conversation);
+                } catch (error) {
+                    console.error(`[BulkActions] ${label} failed for`, conversation.id, error);
+                    failed.push({ conversation, error });
+                }
+            }
+            this.renderProgress(label, conversations.length, conversations.length);
+        } finally {
+            this.running--;
+            if (!this.running) this.hideProgress();
+            finished();
+        }
+
+        // Keep failures selected so they can be retried
+        if (fromSelection) {
+            this.selectedIds = new Set(failed.map(f => f.conversation.id));
+            this.anchorId = null;
+        }
+        this.render();
+
+        return { succeeded, failed, fromSelection };
+    },
+
+    /**
+     * Report the outcome of a run
+     */
+    report(verb, result) {
+        const { succeeded, failed } = result;
+        const total = succeeded.length + failed.length;
+
+        if (failed.length === 0) {
+            Toast.success(`${verb} ${total} conversation${total !== 1 ? 's' : ''}`);
+            return;
+        }
+
+        const titles = failed.slice(0, 3).map(f => `"${f.conversation.title}"`).join(', ');
+        const more = failed.length > 3 ? ` and ${failed.length - 3} more` : '';
+        const selected = result.fromSelection ? ' (still selected)' : '';
+        Toast.error(`${verb} ${succeeded.length} of ${total}. Failed: ${titles}${more}${selected}`, 10000);
+    },
+
+    renderProgress(label, done, total) {
+        const progress = document.getElementById('bulkProgress');
+        if (!progress) return;
+
+        progress.style.display = 'block';
+        progress.querySelector('.bulk-progress-label').textContent = `${label} ${done}/${total}...`;
+        progress.querySelector('.progress-bar').style.width = `${Math.round(done / total * 100)}%`;
+    },
+
+    hideProgress() {
+        const progress = document.getElementById('bulkProgress');
+        if (progress) progress.style.display = 'none';
+    },
+
+    /**
+     * Move menu: folder tree plus "No folder"
+     */
+    showMoveMenu(anchor) {
+        const items = Folders.getTree().map(({ folder, depth }) => ({
+            label: folder.name,
+            icon: folder.icon || '📁',
+            indent: depth,
+            action: () => this.moveSelected(folder.id)
+        }));
+
+        if (items.length > 0) items.push({ separator: true });
+        items.push({ label: 'No folder', icon: '↩️', action: () => this.moveSelected(null) });
+
+        ContextMenu.showBelow(anchor, items);
+    },
+
+    async moveSelected(folderId) {
+        const conversations = this.getSelected().filter(c => (c.folderId || null) !== folderId);
+        if (conversations.length === 0) {
+            Toast.info('Already in that folder');
+            return;
+        }
+
+        const result = await this.run('Moving', conversations, async (conversation) => {
+            await API.moveConversation(conversation.id, folderId);
+            conversation.folderId = folderId;
+        }, true);
+
+        if (folderId) Folders.expandPath(folderId);
+        Conversations.renderConversationList();
+
+        const folder = folderId ? Folders.getFolder(folderId) : null;
+        this.report(folder ? `Moved to "${folder.name}":` : 'Removed from folder:', result);
+    },
+
+    /**
+     * Shared topic menu
+     */
+    showTopicMenu(anchor) {
+        ContextMenu.showBelow(anchor, SharedTopics.topics.map(topic => ({
+            label: topic.name,
+            icon: '🔗',
+            action: () => this.attachSelected(topic.id)
+        })));
+    },
+
+    async attachSelected(topicId) {
+        const topic = SharedTopics.getTopic(topicId);
+        const result = await this.run('Attaching', this.getSelected(), (conversation) =>
+            SharedTopics.attachToConversation(conversation.id, topicId), true);
+
+        this.render();
+        this.report(`Attached to "${topic?.name || 'topic'}":`, result);
+    },
+
+    /**
+     * Tag menu: existing tags plus a new tag
+     */
+    showTagMenu(anchor) {
+        const items = Tags.getAllTags().map(tag => ({
+            label: tag,
+            icon: '🏷️',
+            action: () => this.tagSelected(tag)
+        }));
+
+        if (items.length > 0) items.push({ separator: true });
+        items.push({
+            label: 'New tag...',
+            icon: '➕',
+            action: () => {
+                const tag = Tags.normalize(prompt('Tag name:') || '');
+                if (tag) this.tagSelected(tag);
+            }
+        });
+
+        ContextMenu.showBelow(anchor, items);
+    },
+
+    async tagSelected(tag) {
+        const conversations = this.getSelected().filter(c => !(c.tags || []).includes(tag));
+        if (conversations.length === 0) {
+            Toast.info(`Already tagged "${tag}"`);
+            return;
+        }
+
+        const result = await this.run('Tagging', conversations, async (conversation) => {
+            const tags = [...(conversation.tags || []), tag];
+            await API.updateConversationTags(conversation.id, tags);
+            conversation.tags = tags;
+        }, true);
+
+        Conversations.renderConversationList();
+        this.report(`Tagged "${tag}":`, result);
+    },
+
+    /**
+     * Export menu (one combined file)
+     */
+    showExportMenu(anchor) {
+        ContextMenu.showBelow(anchor, Object.entries(ConversationExport.formats)
+            .filter(([format]) => format !== 'pdf')
+            .map(([format, { label, icon }]) => ({
+                label,
+                icon,
+                action: () => this.exportSelected(format)
+            })));
+    },
+
+    async exportSelected(format) {
+        const exports = [];
+        const result = await this.run('Exporting', this.getSelected(), async (conversation) => {
+            exports.push(await ConversationExport.buildExport(conversation.id));
+        }, true);
+
+        if (exports.length > 0) {
+            ConversationExport.downloadMany(exports, format);
+        }
+
+        this.render();
+        this.report('Exported', result);
+    },
+
+    /**
+     * Delete selected conversations: to the Trash (with undo), or for good in the Trash view
+     */
+    async deleteSelected() {
+        const ids = this.getSelected().map(c => c.id);
+        if (ids.length === 0) return;
+
+        if (Conversations.view === 'trash') {
+            await Trash.confirmDeletePermanently(ids, true);
+            return;
+        }
+
+        this.selectedIds.clear();
+        this.anchorId = null;
+        await Trash.moveToTrash(ids);
+    },
+
+    /**
+     * Restore selected conversations from the Trash
+     */
+    async restoreSelected() {
+        await Trash.restore(this.getSelected().map(c => c.id), true);
+    }
+};
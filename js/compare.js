@@ -0,0 +1,388 @@
+// SPDX-License-Identifier: GPL-3.0-only
+// SPDX-FileCopyrightText: Copyright (c) 2026 Andrew Wyatt (Fewtarius)
+
+/**
+ * Model Comparison for SAM-Web
+ * Compare mode sends the same prompt and history to 2-4 models as parallel
+ * streams and shows the answers side by side with latency, token and cost
+ * stats. Picking a winner continues the conversation with it; the other
+ * answers are kept as branches of the reply.
+ *
+ * Compare requests are sent without a conversation_id so the server doesn't
+ * store every answer - the prompt and the winner are saved when one is picked.
+ * Every answer's tokens count towards the conversation's cost, picked or not.
+ */
+
+const Compare = {
+    // State
+    enabled: false,
+    models: [],             // Selected model IDs (saved in localStorage)
+    available: [],          // Model IDs from the server
+    minModels: 2,
+    maxModels: 4,
+    active: null,           // { columns, cancelled } for the running comparison
+
+    /**
+     * Restore selected models and set up the composer controls
+     */
+    init() {
+        try {
+            this.models = JSON.parse(localStorage.getItem('sam-web-compare-models') || '[]');
+        } catch (e) {
+            console.error('[Compare] Failed to parse saved models:', e);
+            this.models = [];
+        }
+
+        const toggle = document.getElementById('compareToggle');
+        if (toggle) {
+            toggle.addEventListener('change', () => this.setEnabled(toggle.checked));
+        }
+
+        // Autonomous mode and compare mode both take over the send button
+        const autonomousToggle = document.getElementById('autonomousToggle');
+        if (autonomousToggle) {
+            autonomousToggle.addEventListener('change', () => {
+                if (autonomousToggle.checked && this.enabled) this.setEnabled(false);
+            });
+        }
+
+        const addSelect = document.getElementById('compareAddModel');
+        if (addSelect) {
+            addSelect.addEventListener('change', () => {
+                if (addSelect.value) this.addModel(addSelect.value);
+                addSelect.value = '';
+            });
+        }
+    },
+
+    /**
+     * Models the server offers (called whenever the model list is loaded)
+     */
+    setModels(models) {
+        this.available = models.map(model => model.id);
+        this.renderPicker();
+    },
+
+    /**
+     * Switch compare mode on or off
+     */
+    setEnabled(enabled) {
+        this.enabled = enabled;
+
+        const toggle = document.getElementById('compareToggle');
+        if (toggle) toggle.checked = enabled;
+
+        if (enabled && Workflows.autonomousMode) {
+            document.getElementById('autonomousToggle').checked = false;
+            Workflows.setAutonomousMode(false);
+        }
+
+        // Start from the model already selected in the toolbar
+        const current = document.getElementById('modelSelect')?.value;
+        if (enabled && this.models.length === 0 && current) {
+            this.models = [current];
+            this.save();
+        }
+
+        document.querySelector('.input-area')?.classList.toggle('comparing', enabled);
+        const bar = document.getElementById('compareBar');
+        if (bar) bar.style.display = enabled ? 'flex' : 'none';
+
+        this.renderPicker();
+        console.log('[Compare] Compare mode:', enabled);
+    },
+
+    addModel(modelId) {
+        if (this.models.includes(modelId)) return;
+        if (this.models.length >= this.maxModels) {
+            Toast.warning(`Compare up to ${this.maxModels} models at a time`);
+            return;
+        }
+        this.models.push(modelId);
+        this.save();
+        this.renderPicker();
+    },
+
+    removeModel(modelId) {
+        this.models = this.models.filter(id => id !== modelId);
+        this.save();
+        this.renderPicker();
+    },
+
+    /**
+     * Whether enough models are selected to run a comparison
+     */
+    isReady() {
+        return this.models.length >= this.minModels;
+    },
+
+    save() {
+        localStorage.setItem('sam-web-compare-models', JSON.stringify(this.models));
+    },
+
+    /**
+     * Selected model chips and the "add model" select
+     */
+    renderPicker() {
+        const list = document.getElementById('compareModels');
+        const addSelect = document.getElementById('compareAddModel');
+        if (!list || !addSelect) return;
+
+        list.innerHTML = '';
+        this.models.forEach(modelId => {
+            const chip = document.createElement('span');
+            chip.className = 'compare-model-chip';
+            chip.innerHTML = `<span></span><button type="button" title="Remove">×</button>`;
+            chip.querySelector('span').textContent = modelId;
+            chip.querySelector('button').addEventListener('click', () => this.removeModel(modelId));
+            list.appendChild(chip);
+        });
+
+        const remaining = this.available.filter(id => !this.models.includes(id));
+        addSelect.innerHTML = '<option value="">+ Add model</option>';
+        remaining.forEach(id => {
+            const option = document.createElement('option');
+            option.value = id;
+            option.textContent = id;
+            addSelect.appendChild(option);
+        });
+        addSelect.disabled = this.models.length >= this.maxModels || remaining.length === 0;
+
+        const hint = document.getElementById('compareHint');
+        if (hint) {
+            hint.textContent = this.isReady() ? '' : `Pick at least ${this.minModels} models`;
+        }
+    },
+
+    /**
+     * Stream the history to every selected model, rendering columns in the chat
+     * options: { conversationKey, isNew, onFinish(), onPick(winner, others) }
+     * conversationKey is the conversation the comparison belongs to (isNew when
+     * the server hasn't created it yet), captured when it starts
+     * Answers are { model, content, reasoning, usage, firstTokenMs, totalMs, timestamp }
+     */
+    async run(history, container, options) {
+        this.cancel();
+
+        const group = document.createElement('div');
+        group.className = 'compare-group';
+        group.innerHTML = `
+            <div class="compare-group-header">⚖️ Comparing ${this.models.length} models</div>
+            <div class="compare-columns" style="--compare-columns: ${this.models.length}"></div>
+        `;
+        container.appendChild(group);
+
+        const run = { columns: [], cancelled: false };
+        this.active = run;
+
+        run.columns = this.models.map(model => this.createColumn(group, model, run, options));
+        group.scrollIntoView({ block: 'end', behavior: 'smooth' });
+
+        await Promise.all(run.columns.map(column => this.stream(column, history, options.conversationKey)));
+
+        if (run.cancelled) return;
+        this.active = null;
+        if (options.onFinish) options.onFinish();
+    },
+
+    /**
+     * One model's column with its pick button
+     */
+    createColumn(group, model, run, options) {
+        const element = document.createElement('div');
+        element.className = 'compare-column';
+        element.innerHTML = `
+            <div class="compare-column-header">
+                <span class="compare-column-model"></span>
+                <span class="compare-column-status">Waiting...</span>
+            </div>
+            <div class="message-content"></div>
+            <div class="compare-stats"></div>
+            <button type="button" class="btn btn-primary btn-sm compare-pick-btn" disabled>✓ Use this response</button>
+        `;
+        element.querySelector('.compare-column-model').textContent = model;
+        group.querySelector('.compare-columns').appendChild(element);
+
+        const column = {
+            model,
+            element,
+            conversationKey: options.conversationKey,
+            handle: null,
+            started: null,
+            resolve: null,
+            done: false,
+            answer: { model, content: '', reasoning: '', usage: null, firstTokenMs: null, totalMs: null, timestamp: null }
+        };
+
+        element.querySelector('.compare-pick-btn').addEventListener('click', () => {
+            const others = run.columns
+                .filter(other => other !== column && other.answer.content)
+                .map(other => other.answer);
+            options.onPick(column.answer, others);
+        });
+
+        return column;
+    },
+
+    /**
+     * Stream one model's answer into its column. Resolves when it ends
+     */
+    async stream(column, history, conversationKey) {
+        const { element, answer, model } = column;
+        const contentEl = element.querySelector('.message-content');
+        const statusEl = element.querySelector('.compare-column-status');
+
+        let rawContent = '';
+        let reasoningDeltas = '';
+        column.started = performance.now();
+
+        try {
+            const context = await ContextWindow.prepare(history, model, conversationKey);
+            const request = {
+                model,
+                messages: context.messages.map(m => ({ role: m.role, content: m.content })),
+                stream: true,
+                ...Parameters.getRequestParams(),
+                ...Prompts.getRequestParams(),
+                ...Personalities.getRequestParams()
+            };
+            delete request.conversation_id;
+
+            // Stopped while the history was being prepared
+            if (column.done) return;
+            statusEl.textContent = 'Thinking...';
+
+            await new Promise((resolve) => {
+                column.resolve = resolve;
+                column.handle = API.chatCompletionStreaming(
+                    request,
+                    (chunk) => {
+                        const chunkUsage = Usage.normalize(chunk.usage);
+                        if (chunkUsage) {
+                            answer.usage = { ...chunkUsage, model };
+                        }
+
+                        const delta = chunk.choices?.[0]?.delta;
+                        if (!delta) return;
+
+                        const reasoningDelta = delta.reasoning_content || delta.reasoning;
+                        if (typeof reasoningDelta === 'string') {
+                            reasoningDeltas += reasoningDelta;
+                        }
+                        if (!delta.content && !reasoningDelta) return;
+
+                        if (answer.firstTokenMs === null) {
+                            answer.firstTokenMs = performance.now() - column.started;
+                            statusEl.textContent = 'Streaming...';
+                        }
+
+                        if (delta.content) {
+                            rawContent += delta.content;
+                            answer.content = Reasoning.split(rawContent).content;
+                            contentEl.innerHTML = Markdown.render(answer.content);
+                        }
+                        answer.reasoning = [reasoningDeltas, Reasoning.split(rawContent).reasoning]
+                            .filter(Boolean)
+                            .join('\n\n');
+                    },
+                    () => {
+                        this.finishColumn(column, 'Done');
+                        resolve();
+                    },
+                    (error) => {
+                        contentEl.textContent = '❌ Error: ' + error.message;
+                        this.finishColumn(column, 'Failed');
+                        resolve();
+                    }
+                );
+            });
+        } catch (error) {
+            console.error('[Compare] Failed to start', model, error);
+            contentEl.textContent = '❌ Error: ' + error.message;
+            this.finishColumn(column, 'Failed');
+        }
+    },
+
+    /**
+     * Column finished (or stopped): show stats and allow picking it
+     */
+    finishColumn(column, status) {
+        if (column.done) return;
+        column.done = true;
+
+        const { element, answer } = column;
+        if (column.started) {
+            answer.totalMs = performance.now() - column.started;
+        }
+        answer.timestamp = new Date().toISOString();
+        if (answer.usage) {
+            Usage.addToTotals(column.conversationKey, answer.usage, answer.model);
+        }
+        element.querySelector('.compare-column-status').textContent = status;
+        element.classList.toggle('failed', status === 'Failed');
+        element.querySelector('.compare-pick-btn').disabled = !answer.content;
+        element.querySelector('.compare-stats').textContent = this.describeStats(answer);
+    },
+
+    /**
+     * "0.8s first token · 4.2s total · 512 tokens · $0.0031"
+     */
+    describeStats(answer) {
+        const parts = [];
+        if (answer.firstTokenMs !== null) {
+            parts.push(`${(answer.firstTokenMs / 1000).toFixed(1)}s first token`);
+        }
+        if (answer.totalMs !== null) {
+            parts.push(`${(answer.totalMs / 1000).toFixed(1)}s total`);
+        }
+        if (answer.usage) {
+            parts.push(`${Usage.formatTokens(answer.usage.completionTokens || answer.usage.totalTokens)} tokens`);
+            const cost = Usage.getCost(answer.usage, answer.model);
+            parts.push(cost === null ? 'no price set' : Usage.formatCost(cost));
+        }
+        return parts.join(' · ');
+    },
+
+    /**
+     * Stop every stream of the running comparison (partial answers can still be picked)
+     */
+    cancel() {
+        const run = this.active;
+        if (!run) return;
+
+        run.cancelled = true;
+        this.active = null;
+
+        run.columns.forEach(column => {
+            if (column.done) return;
+            column.handle?.cancel();
+            this.finishColumn(column, 'Stopped');
+            if (column.resolve) column.resolve();
+        });
+    },
+
+    /**
+     * Save the prompt and the picked answer to the comparison's conversation
+     * (creating it when this was the first message)
+     */
+    async save(conversationId, isNew, newMessages, settings) {
+        const payload = newMessages.map(message => ({
+            content: message.content,
+            isFromUser: message.role === 'user',
+            timestamp: message.meta?.timestamp || new Date().toISOString()
+        }));
+
+        if (!isNew) {
+            await API.appendMessages(conversationId, payload);
+            return;
+        }
+
+        const prompt = newMessages[0]?.content || 'Comparison';
+        await API.createConversation({
+            id: conversationId,
+            title: prompt.length > 50 ? prompt.slice(0, 50) + '...' : prompt,
+            settings,
+            messages: payload
+        });
+    }
+};
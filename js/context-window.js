@@ -0,0 +1,336 @@
+// SPDX-License-Identifier: GPL-3.0-only
+// SPDX-FileCopyrightText: Copyright (c) 2026 Andrew Wyatt (Fewtarius)
+
+/**
+ * Context Window Management for SAM-Web
+ * Tracks each model's context window (from /v1/models), estimates the token
+ * size of the pending request, drives the composer meter and trims history
+ * before sending when the request would not fit
+ *
+ * Trimming strategies:
+ * - truncate:  drop the oldest messages
+ * - pinned:    drop the oldest messages that aren't pinned
+ * - summarize: replace older turns with a model-written summary
+ *
+ * Pins are kept on the messages (`message.pinned`, so each branch has its own)
+ * and stored by position on the active branch to survive a reload
+ */
+
+const ContextWindow = {
+    // Used when /v1/models doesn't report a context length
+    defaultContextLength: 32000,
+    defaultMaxOutput: 4096,
+
+    // Rough heuristic: ~4 characters per token, plus per-message framing
+    charsPerToken: 4,
+    messageOverhead: 4,
+
+    strategies: {
+        truncate: 'Drop oldest',
+        pinned: 'Keep pinned',
+        summarize: 'Summarize older'
+    },
+    strategy: 'truncate',
+
+    models: {},         // modelId -> { contextLength, maxOutput }
+    pinned: {},         // conversationId -> [messageIndex] (active branch)
+    summaries: {},      // conversationId -> { upTo, text, turns } (summary of turns = messages[0, upTo))
+
+    /**
+     * Restore strategy and pinned messages
+     */
+    init() {
+        this.strategy = localStorage.getItem('sam-web-context-strategy') || 'truncate';
+
+        const savedPinned = localStorage.getItem('sam-web-pinned-messages');
+        if (savedPinned) {
+            try {
+                this.pinned = JSON.parse(savedPinned);
+            } catch (e) {
+                console.error('[ContextWindow] Failed to parse pinned messages:', e);
+            }
+        }
+
+        const select = document.getElementById('contextStrategySelect');
+        if (select) {
+            select.innerHTML = '';
+            Object.entries(this.strategies).forEach(([value, label]) => {
+                select.appendChild(new Option(label, value));
+            });
+            select.value = this.strategy;
+            select.addEventListener('change', () => {
+                this.strategy = select.value;
+                localStorage.setItem('sam-web-context-strategy', this.strategy);
+                document.body.classList.toggle('pinning-enabled', this.strategy === 'pinned');
+            });
+        }
+        document.body.classList.toggle('pinning-enabled', this.strategy === 'pinned');
+    },
+
+    /**
+     * Read context metadata from the /v1/models list
+     */
+    setModels(models) {
+        this.models = {};
+        models.forEach(model => {
+            const contextLength = model.context_length || model.context_window || model.max_context_length
+                || model.max_model_len || model.top_provider?.context_length || model.metadata?.context_length;
+            const maxOutput = model.max_output_tokens || model.max_completion_tokens
+                || model.top_provider?.max_completion_tokens || model.metadata?.max_output_tokens;
+
+            this.models[model.id] = {
+                contextLength: contextLength || null,
+                maxOutput: maxOutput || null
+            };
+        });
+    },
+
+    /**
+     * Context limits for a model (defaults when unknown)
+     */
+    getLimits(modelId) {
+        const info = this.models[modelId] || {};
+        const contextLength = info.contextLength || this.defaultContextLength;
+        const maxOutput = info.maxOutput || Math.min(this.defaultMaxOutput, Math.floor(contextLength / 4));
+
+        return {
+            contextLength,
+            maxOutput,
+            // Room left for history once the response is reserved
+            inputBudget: contextLength - maxOutput,
+            known: !!info.contextLength
+        };
+    },
+
+    /**
+     * Approximate token count for text
+     */
+    estimateTokens(text) {
+        return Math.ceil((text || '').length / this.charsPerToken);
+    },
+
+    /**
+     * Approximate token count for a list of chat messages
+     */
+    estimateMessages(messages) {
+        return messages.reduce((total, message) => total + this.estimateTokens(message.content) + this.messageOverhead, 0);
+    },
+
+    /**
+     * Update the composer meter for the pending request
+     */
+    renderMeter(messages, pendingText, modelId) {
+        const meter = document.getElementById('contextMeter');
+        const label = document.getElementById('charCount');
+        if (!meter || !label) return;
+
+        const limits = this.getLimits(modelId);
+        const used = this.estimateMessages(messages) + (pendingText ? this.estimateTokens(pendingText) + this.messageOverhead : 0);
+        const ratio = used / limits.inputBudget;
+
+        const fill = meter.querySelector('.context-meter-fill');
+        fill.style.width = `${Math.min(100, ratio * 100)}%`;
+
+        meter.classList.toggle('warning', ratio >= 0.8 && ratio < 1);
+        meter.classList.toggle('over', ratio >= 1);
+
+        label.textContent = `~${Usage.formatTokens(used)} / ${Usage.formatTokens(limits.contextLength)} tokens`;
+        meter.title = [
+            `Estimated request: ~${used.toLocaleString()} tokens`,
+            `Context window: ${limits.contextLength.toLocaleString()} tokens${limits.known ? '' : ' (default)'}`,
+            `Reserved for response: ${limits.maxOutput.toLocaleString()} tokens`,
+            ratio >= 1 ? `Over the limit - history will be trimmed (${this.strategies[this.strategy]})` : null
+        ].filter(Boolean).join('\n');
+    },
+
+    /**
+     * Fit history into the model's input budget using the selected strategy
+     * The latest message is always kept
+     * Returns { messages, dropped, summarized }
+     */
+    async prepare(messages, modelId, conversationId) {
+        const budget = this.getLimits(modelId).inputBudget;
+        const result = { messages, dropped: 0, summarized: 0 };
+
+        if (messages.length <= 1 || this.estimateMessages(messages) <= budget) {
+            return result;
+        }
+
+        if (this.strategy === 'summarize') {
+            try {
+                return await this.summarize(messages, budget, modelId, conversationId);
+            } catch (error) {
+                console.error('[ContextWindow] Summarization failed, truncating instead:', error);
+                Toast.warning('Could not summarize older messages - dropping them instead');
+            }
+        }
+
+        const keepPinned = this.strategy === 'pinned';
+        const kept = [...messages];
+        let total = this.estimateMessages(messages);
+
+        // Drop oldest first, skipping pinned messages and the latest message
+        for (let i = 0; i < kept.length - 1 && total > budget; i++) {
+            if (keepPinned && kept[i].pinned) continue;
+            total -= this.estimateTokens(kept[i].content) + this.messageOverhead;
+            kept[i] = null;
+            result.dropped++;
+        }
+
+        result.messages = kept.filter(Boolean);
+        return result;
+    },
+
+    /**
+     * Replace older turns with a summary, keeping as many recent turns as fit
+     * Summaries are cached per conversation and extended incrementally while the
+     * turns they cover are unchanged (an edit or branch switch starts over)
+     */
+    async summarize(messages, budget, modelId, conversationId) {
+        // Leave a quarter of the budget for the summary itself
+        const recentBudget = Math.floor(budget * 0.75);
+        let split = messages.length - 1;
+        let recentTokens = this.estimateMessages(messages.slice(split));
+
+        while (split > 0) {
+            const cost = this.estimateTokens(messages[split - 1].content) + this.messageOverhead;
+            if (recentTokens + cost > recentBudget) break;
+            recentTokens += cost;
+            split--;
+        }
+
+        // Not even the latest turn fits - nothing useful to summarize
+        if (split === 0) {
+            return { messages, dropped: 0, summarized: 0 };
+        }
+
+        const cached = this.summaries[conversationId];
+        const reusable = cached && cached.upTo <= split && cached.turns.every((turn, i) =>
+            turn.role === messages[i].role && turn.content === messages[i].content);
+        let summary = reusable ? cached.text : '';
+        const from = summary ? cached.upTo : 0;
+
+        if (from < split) {
+            summary = await this.requestSummary(summary, messages.slice(from, split), modelId, conversationId);
+            if (conversationId) {
+                this.summaries[conversationId] = { upTo: split, text: summary, turns: messages.slice(0, split) };
+            }
+        }
+
+        return {
+            messages: [
+                { role: 'system', content: `Summary of the earlier conversation:\n\n${summary}` },
+                ...messages.slice(split)
+            ],
+            dropped: 0,
+            summarized: split
+        };
+    },
+
+    /**
+     * Ask the model to summarize turns (folding in an existing summary); its
+     * tokens count towards the conversation's cost
+     */
+    async requestSummary(previousSummary, turns, modelId, conversationId = null) {
+        const transcript = turns
+            .map(message => `${message.role === 'user' ? 'User' : 'Assistant'}: ${message.content}`)
+            .join('\n\n');
+
+        const response = await API.chatCompletion({
+            model: modelId,
+            stream: false,
+            messages: [
+                {
+                    role: 'system',
+                    content: 'Summarize the conversation below for use as context in later turns. Keep facts, decisions, names, code identifiers and open questions. Be concise.'
+                },
+                {
+                    role: 'user',
+                    content: previousSummary
+                        ? `Earlier summary:\n\n${previousSummary}\n\nConversation since then:\n\n${transcript}`
+                        : transcript
+                }
+            ]
+        });
+        Usage.addToTotals(conversationId, Usage.normalize(response.usage), modelId);
+
+        const text = response.choices?.[0]?.message?.content;
+        if (!text) {
+            throw new Error('Empty summary response');
+        }
+        return Reasoning.split(text).content.trim();
+    },
+
+    /**
+     * Store which messages on the active branch are pinned (after every change
+     * to the branch, so positions stay in line)
+     */
+    recordPath(conversationId, messages) {
+        if (!conversationId) return;
+
+        const indexes = [];
+        messages.forEach((message, index) => {
+            if (message.pinned) indexes.push(index);
+        });
+
+        if (indexes.length > 0) {
+            this.pinned[conversationId] = indexes;
+        } else if (this.pinned[conversationId]) {
+            delete this.pinned[conversationId];
+        } else {
+            return;
+        }
+        localStorage.setItem('sam-web-pinned-messages', JSON.stringify(this.pinned));
+    },
+
+    /**
+     * Mark stored pins on loaded messages that don't carry their own
+     */
+    restorePath(conversationId, messages) {
+        (this.pinned[conversationId] || []).forEach(index => {
+            const message = messages[index];
+            if (message && message.pinned === undefined) message.pinned = true;
+        });
+    },
+
+    /**
+     * Add a pin toggle to a message header
+     * onChange() is called after the message was pinned or unpinned
+     */
+    renderPinButton(messageEl, message, onChange) {
+        const header = messageEl.querySelector('.message-header');
+        if (!header) return;
+
+        const button = document.createElement('button');
+        button.className = 'message-pin-btn';
+        button.type = 'button';
+        button.textContent = '📌';
+
+        const update = () => {
+            const pinned = !!message.pinned;
+            button.classList.toggle('active', pinned);
+            messageEl.classList.toggle('pinned', pinned);
+            button.title = pinned ? 'Unpin (may be trimmed from context)' : 'Pin (always kept in context)';
+        };
+
+        button.addEventListener('click', () => {
+            message.pinned = !message.pinned;
+            update();
+            onChange();
+        });
+
+        update();
+        header.appendChild(button);
+    },
+
+    /**
+     * Forget pins and cached summaries for a deleted conversation
+     */
+    remove(conversationId) {
+        delete this.summaries[conversationId];
+        if (this.pinned[conversationId]) {
+            delete this.pinned[conversationId];
+            localStorage.setItem('sam-web-pinned-messages', JSON.stringify(this.pinned));
+        }
+    }
+};
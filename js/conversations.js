@@ -11,6 +11,15 @@ const Conversations = {
     conversations: [],
     activeConversationId: null,
     activeConversation: null,
+    view: 'all',        // 'all' | 'starred' | 'archived' | 'trash'
+    
+    // Sidebar views
+    views: {
+        all: { label: 'All', empty: 'No conversations yet' },
+        starred: { label: '⭐ Starred', empty: 'No starred conversations' },
+        archived: { label: '🗄️ Archived', empty: 'No archived conversations' },
+        trash: { label: '🗑️ Trash', empty: 'Trash is empty' }
+    },
     
     /**
      * Initialize conversation system
@@ -19,6 +28,13 @@ const Conversations = {
         // Initialize folders first
         await Folders.init();
         
+        // Restore the sidebar view
+        const view = localStorage.getItem('sam-web-conversation-view');
+        if (this.views[view]) {
+            this.view = view;
+        }
+        this.setupViewTabs();
+        
         // Try to restore last active conversation
         const lastConversationId = localStorage.getItem('sam-web-last-conversation');
         
@@ -29,8 +45,9 @@ const Conversations = {
         if (lastConversationId && this.conversations.find(c => c.id === lastConversationId)) {
             await this.loadConversation(lastConversationId);
         } else if (this.conversations.length > 0) {
-            // Load most recent conversation
-            await this.loadConversation(this.conversations[0].id);
+            // Load most recent conversation (preferring one that isn't archived)
+            const recent = this.conversations.find(c => !c.archived) || this.conversations[0];
+            await this.loadConversation(recent.id);
         } else {
             // No conversations - will create one when user sends first message
             this.activeConversationId = null;
@@ -112,50 +129,151 @@ const Conversations = {
     },
     
     /**
-     * Delete conversation
+     * Delete conversation (moves it to the Trash, with an Undo toast)
      */
     async deleteConversation(conversationId) {
+        await Trash.moveToTrash([conversationId]);
+    },
+
+    /**
+     * Rename conversation (quiet = no toast, e.g. generated titles)
+     */
+    async renameConversation(conversationId, newTitle, quiet = false) {
         try {
-            await API.deleteConversation(conversationId);
-            
-            this.conversations = this.conversations.filter(c => c.id !== conversationId);
+            await API.renameConversation(conversationId, newTitle);
             
-            if (this.activeConversationId === conversationId) {
-                // Deleted active conversation - load another or create new
-                if (this.conversations.length > 0) {
-                    await this.loadConversation(this.conversations[0].id);
-                } else {
-                    await this.createConversation();
+            const conversation = this.conversations.find(c => c.id === conversationId);
+            if (conversation) {
+                conversation.title = newTitle;
+            }
+            if (conversationId === this.activeConversationId) {
+                if (this.activeConversation) this.activeConversation.title = newTitle;
+                const headerTitle = document.getElementById('conversationTitle');
+                if (headerTitle && !headerTitle.classList.contains('editing')) {
+                    headerTitle.textContent = newTitle;
                 }
             }
             
             this.renderConversationList();
-            Toast.show('Conversation deleted', 'success');
+            if (!quiet) {
+                Toast.show('Conversation renamed', 'success');
+            }
         } catch (error) {
-            console.error('Failed to delete conversation:', error);
-            Toast.error('Error: Failed to delete conversation');
+            console.error('Failed to rename conversation:', error);
+            Toast.error('Error: Failed to rename conversation');
             throw error;
         }
     },
-
+    
     /**
-     * Rename conversation
+     * Set pinned/starred/archived state
      */
-    async renameConversation(conversationId, newTitle) {
+    async setFlag(conversationId, flag, value) {
+        const conversation = this.conversations.find(c => c.id === conversationId);
+        if (!conversation) return;
+        
+        // Archived conversations leave the pinned section
+        const updates = { [flag]: value };
+        if (flag === 'archived' && value && conversation.pinned) {
+            updates.pinned = false;
+        }
+        
         try {
-            await API.renameConversation(conversationId, newTitle);
+            await API.updateConversation(conversationId, updates);
+            Object.assign(conversation, updates);
+            this.renderConversationList();
             
-            const conversation = this.conversations.find(c => c.id === conversationId);
-            if (conversation) {
-                conversation.title = newTitle;
+            const messages = {
+                pinned: value ? 'Pinned to top' : 'Unpinned',
+                starred: value ? 'Added to Starred' : 'Removed from Starred',
+                archived: value ? 'Conversation archived' : 'Conversation restored from archive'
+            };
+            Toast.show(messages[flag], 'success');
+        } catch (error) {
+            console.error(`Failed to update ${flag}:`, error);
+            Toast.error('Error: Failed to update conversation');
+        }
+    },
+    
+    /**
+     * Switch the sidebar view (all, starred, archived)
+     */
+    setView(view) {
+        if (!this.views[view] || view === this.view) return;
+        
+        this.view = view;
+        localStorage.setItem('sam-web-conversation-view', view);
+        BulkActions.clearSelection();
+        Search.clearResults();
+        this.renderConversationList();
+    },
+    
+    /**
+     * Create the view tabs above the list
+     */
+    setupViewTabs() {
+        const tabs = document.getElementById('conversationViewTabs');
+        if (!tabs) return;
+        
+        tabs.innerHTML = '';
+        Object.entries(this.views).forEach(([view, { label }]) => {
+            const tab = document.createElement('button');
+            tab.className = 'conversation-view-tab';
+            tab.dataset.view = view;
+            tab.textContent = label;
+            tab.addEventListener('click', () => this.setView(view));
+            tabs.appendChild(tab);
+        });
+    },
+    
+    /**
+     * Whether a conversation belongs in the current view
+     */
+    isInView(conversation) {
+        if (this.view === 'trash') return Trash.isTrashed(conversation);
+        if (Trash.isTrashed(conversation)) return false;
+        
+        switch (this.view) {
+            case 'starred':
+                return !!conversation.starred && !conversation.archived;
+            case 'archived':
+                return !!conversation.archived;
+            default:
+                return !conversation.archived;
+        }
+    },
+    
+    /**
+     * Whether the list is narrowed (search, a smart filter or a view other than All) -
+     * folders without matches are hidden and the rest are expanded
+     */
+    isFiltered() {
+        return Search.isActive() || SmartFilters.isActive() || this.view !== 'all';
+    },
+    
+    /**
+     * Move conversation to a folder (null = no folder)
+     */
+    async moveToFolder(conversationId, folderId) {
+        const conversation = this.conversations.find(c => c.id === conversationId);
+        if (!conversation || (conversation.folderId || null) === folderId) return;
+        
+        try {
+            await API.moveConversation(conversationId, folderId);
+            conversation.folderId = folderId;
+            
+            // Reveal the conversation in its new folder
+            if (folderId) {
+                Folders.expandPath(folderId);
             }
             
             this.renderConversationList();
-            Toast.show('Conversation renamed', 'success');
+            
+            const folder = folderId ? Folders.getFolder(folderId) : null;
+            Toast.show(folder ? `Moved to "${folder.name}"` : 'Removed from folder', 'success');
         } catch (error) {
-            console.error('Failed to rename conversation:', error);
-            Toast.error('Error: Failed to rename conversation');
-            throw error;
+            console.error('Failed to move conversation:', error);
+            Toast.error('Error: Failed to move conversation');
         }
     },
     
@@ -169,8 +287,19 @@ const Conversations = {
         console.log('renderConversationList() called with', this.conversations.length, 'conversations');
         
         container.innerHTML = '';
+        BulkActions.render();
         
-        if (this.conversations.length === 0) {
+        document.querySelectorAll('.conversation-view-tab').forEach(tab => {
+            tab.classList.toggle('active', tab.dataset.view === this.view);
+        });
+        
+        // Dropping on the list background removes a conversation from its folder
+        if (!container.dataset.dropTarget) {
+            container.dataset.dropTarget = 'true';
+            FolderManager.makeDropTarget(container, null);
+        }
+        
+        if (this.conversations.length === 0 && Folders.folders.length === 0) {
             container.innerHTML = `
                 <div class="empty-state">
                     <p>No conversations yet</p>
@@ -180,13 +309,65 @@ const Conversations = {
             return;
         }
         
+        // Apply the view, smart filter and sidebar search (title filter), and hide conversations waiting to be deleted
+        const visible = this.conversations.filter(conversation =>
+            this.isInView(conversation) &&
+            SmartFilters.matches(conversation) &&
+            Search.matchesTitle(conversation) &&
+            !Trash.isPending(conversation.id));
+        
+        if (this.view === 'trash') {
+            Trash.renderHeader(container);
+        }
+        
+        if (visible.length === 0 && this.isFiltered()) {
+            container.insertAdjacentHTML('beforeend', Search.isActive() ? `
+                <div class="empty-state">
+                    <p>No matching titles</p>
+                    <p class="empty-state-hint">Press Enter to search message text</p>
+                </div>
+            ` : SmartFilters.isActive() ? `
+                <div class="empty-state">
+                    <p>No conversations match "${this.escapeHtml(SmartFilters.getActive().name)}"</p>
+                    <p class="empty-state-hint">Click the filter again to turn it off</p>
+                </div>
+            ` : `
+                <div class="empty-state">
+                    <p>${this.views[this.view].empty}</p>
+                </div>
+            `);
+            return;
+        }
+        
+        // Trash is a flat list, most recently deleted first
+        if (this.view === 'trash') {
+            visible
+                .sort((a, b) => new Date(b.trashedAt) - new Date(a.trashedAt))
+                .forEach(conversation => container.appendChild(this.createConversationItem(conversation)));
+            return;
+        }
+        
+        // Pinned conversations get their own section above the folders
+        const pinned = this.view === 'archived' ? [] : visible.filter(c => c.pinned);
+        if (pinned.length > 0) {
+            const section = document.createElement('div');
+            section.className = 'pinned-section';
+            section.innerHTML = '<div class="pinned-section-header">📌 Pinned</div>';
+            
+            pinned.forEach(conversation => {
+                section.appendChild(this.createConversationItem(conversation));
+            });
+            
+            container.appendChild(section);
+        }
+        
         // Group conversations by folder
         const grouped = {
             noFolder: [],
             folders: {}
         };
         
-        this.conversations.forEach(conversation => {
+        visible.filter(c => !pinned.includes(c)).forEach(conversation => {
             console.log('Processing conversation:', conversation.title, 'folderId:', conversation.folderId);
             if (conversation.folderId) {
                 if (!grouped.folders[conversation.folderId]) {
@@ -201,62 +382,24 @@ const Conversations = {
         console.log('Grouped conversations:', grouped);
         console.log('Available folders:', Folders.folders);
         
-        // Render folders first (sorted alphabetically)
-        const folderIds = Object.keys(grouped.folders).sort((a, b) => {
-            const folderA = Folders.getFolder(a);
-            const folderB = Folders.getFolder(b);
-            if (!folderA || !folderB) return 0;
-            return folderA.name.localeCompare(folderB.name);
+        // Conversations whose folder was deleted elsewhere show at the root
+        Object.keys(grouped.folders).forEach(folderId => {
+            if (!Folders.getFolder(folderId)) {
+                console.warn('Folder not found:', folderId);
+                grouped.noFolder.push(...grouped.folders[folderId]);
+                delete grouped.folders[folderId];
+            }
         });
         
-        console.log('Rendering', folderIds.length, 'folders');
+        // Render the folder tree first (sorted alphabetically), including empty
+        // folders so they can be dropped onto - but only branches with matches while filtering
+        const folders = Folders.getChildren(null).filter(folder =>
+            !this.isFiltered() || this.countFolderConversations(folder.id, grouped) > 0);
         
-        folderIds.forEach(folderId => {
-            const folder = Folders.getFolder(folderId);
-            if (!folder) {
-                console.warn('Folder not found:', folderId);
-                return; // Folder was deleted but conversations still reference it
-            }
-            
-            console.log('Rendering folder:', folder.name, 'with', grouped.folders[folderId].length, 'conversations');
-            
-            const conversations = grouped.folders[folderId];
-            const isCollapsed = Folders.isCollapsed(folderId);
-            
-            // Folder header
-            const folderHeader = document.createElement('div');
-            folderHeader.className = 'folder-header';
-            if (isCollapsed) folderHeader.classList.add('collapsed');
-            
-            folderHeader.innerHTML = `
-                <div class="folder-header-main" data-folder-id="${folderId}">
-                    <svg class="folder-icon" width="12" height="12" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2">
-                        <path d="M9 6l6 6-6 6"/>
-                    </svg>
-                    <span class="folder-name">${this.escapeHtml(folder.name)}</span>
-                    <span class="folder-count">${conversations.length}</span>
-                </div>
-            `;
-            
-            // Toggle collapse on click
-            folderHeader.querySelector('.folder-header-main').addEventListener('click', () => {
-                Folders.toggleCollapsed(folderId);
-                this.renderConversationList(); // Re-render
-            });
-            
-            container.appendChild(folderHeader);
-            
-            // Folder conversations (only if not collapsed)
-            if (!isCollapsed) {
-                const folderConversations = document.createElement('div');
-                folderConversations.className = 'folder-conversations';
-                
-                conversations.forEach(conversation => {
-                    folderConversations.appendChild(this.createConversationItem(conversation));
-                });
-                
-                container.appendChild(folderConversations);
-            }
+        console.log('Rendering', folders.length, 'top-level folders');
+        
+        folders.forEach(folder => {
+            this.renderFolder(container, folder, grouped);
         });
         
         // Render conversations without folder
@@ -264,7 +407,7 @@ const Conversations = {
             console.log('Rendering', grouped.noFolder.length, 'ungrouped conversations');
             
             // Add separator if there are folders
-            if (folderIds.length > 0) {
+            if (folders.length > 0 || pinned.length > 0) {
                 const separator = document.createElement('div');
                 separator.className = 'folder-separator';
                 container.appendChild(separator);
@@ -276,6 +419,87 @@ const Conversations = {
         }
     },
     
+    /**
+     * Render a folder header, its subfolders and its conversations
+     */
+    renderFolder(container, folder, grouped) {
+        const folderId = folder.id;
+        const conversations = grouped.folders[folderId] || [];
+        const subfolders = Folders.getChildren(folderId).filter(child =>
+            !this.isFiltered() || this.countFolderConversations(child.id, grouped) > 0);
+        // Expand every folder while filtering so matches are visible
+        const isCollapsed = !this.isFiltered() && Folders.isCollapsed(folderId);
+        
+        // Folder header
+        const folderHeader = document.createElement('div');
+        folderHeader.className = 'folder-header';
+        if (isCollapsed) folderHeader.classList.add('collapsed');
+        if (folder.color) folderHeader.style.setProperty('--folder-color', folder.color);
+        
+        // Count includes conversations in subfolders
+        const total = this.countFolderConversations(folderId, grouped);
+        
+        folderHeader.innerHTML = `
+            <div class="folder-header-main" data-folder-id="${folderId}">
+                <svg class="folder-icon" width="12" height="12" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2">
+                    <path d="M9 6l6 6-6 6"/>
+                </svg>
+                ${folder.icon ? `<span class="folder-emoji">${this.escapeHtml(folder.icon)}</span>` : ''}
+                <span class="folder-name">${this.escapeHtml(folder.name)}</span>
+                <span class="folder-count" title="${conversations.length} here, ${total} including subfolders">${total}</span>
+                <button class="folder-menu-btn" title="Folder options">⋯</button>
+            </div>
+        `;
+        
+        // Toggle collapse on click
+        folderHeader.querySelector('.folder-header-main').addEventListener('click', () => {
+            Folders.toggleCollapsed(folderId);
+            this.renderConversationList(); // Re-render
+        });
+        
+        // Folder options
+        const menuBtn = folderHeader.querySelector('.folder-menu-btn');
+        menuBtn.addEventListener('click', (e) => {
+            e.stopPropagation();
+            const rect = menuBtn.getBoundingClientRect();
+            FolderManager.showFolderMenu(folderId, rect.left, rect.bottom + 4);
+        });
+        folderHeader.addEventListener('contextmenu', (e) => {
+            e.preventDefault();
+            FolderManager.showFolderMenu(folderId, e.clientX, e.clientY);
+        });
+        
+        FolderManager.makeFolderDraggable(folderHeader, folderId);
+        FolderManager.makeDropTarget(folderHeader, folderId);
+        container.appendChild(folderHeader);
+        
+        // Subfolders and conversations (only if not collapsed)
+        if (isCollapsed || (subfolders.length === 0 && conversations.length === 0)) return;
+        
+        const folderConversations = document.createElement('div');
+        folderConversations.className = 'folder-conversations';
+        if (folder.color) folderConversations.style.setProperty('--folder-color', folder.color);
+        
+        subfolders.forEach(child => {
+            this.renderFolder(folderConversations, child, grouped);
+        });
+        
+        conversations.forEach(conversation => {
+            folderConversations.appendChild(this.createConversationItem(conversation));
+        });
+        
+        FolderManager.makeDropTarget(folderConversations, folderId);
+        container.appendChild(folderConversations);
+    },
+    
+    /**
+     * Count conversations in a folder and all of its subfolders
+     */
+    countFolderConversations(folderId, grouped) {
+        return [folderId, ...Folders.getDescendantIds(folderId)]
+            .reduce((sum, id) => sum + (grouped.folders[id] || []).length, 0);
+    },
+    
     /**
      * Create a conversation item element
      */
@@ -285,10 +509,14 @@ const Conversations = {
         if (conversation.id === this.activeConversationId) {
             item.classList.add('active');
         }
+        if (BulkActions.isSelected(conversation.id)) {
+            item.classList.add('selected');
+        }
         
         // Format date
         const date = new Date(conversation.updated);
         const dateStr = this.formatDate(date);
+        const trashed = Trash.isTrashed(conversation);
         
         item.innerHTML = `
             <div class="conversation-item-main" data-id="${conversation.id}">
@@ -296,16 +524,39 @@ const Conversations = {
                 <div class="conversation-meta">
                     <span class="conversation-date">${dateStr}</span>
                     <span class="conversation-count">${conversation.messageCount} msgs</span>
+                    ${Streams.renderBadge(conversation.id)}
                 </div>
+                ${(conversation.tags || []).length > 0 ? `
+                <div class="conversation-tags">
+                    ${Tags.renderChips(conversation.tags)}
+                </div>` : ''}
             </div>
             <div class="conversation-actions">
+                ${trashed ? `
+                <button class="conversation-restore" data-id="${conversation.id}" title="Restore from Trash">
+                    <svg width="14" height="14" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2">
+                        <path d="M3 12a9 9 0 1 0 3-6.7L3 8"/>
+                        <path d="M3 3v5h5"/>
+                    </svg>
+                </button>` : `
+                <button class="conversation-star${conversation.starred ? ' starred' : ''}" data-id="${conversation.id}" title="${conversation.starred ? 'Remove from Starred' : 'Star conversation'}">
+                    <svg width="14" height="14" viewBox="0 0 24 24" fill="${conversation.starred ? 'currentColor' : 'none'}" stroke="currentColor" stroke-width="2">
+                        <path d="M12 2l3.09 6.26L22 9.27l-5 4.87 1.18 6.88L12 17.77l-6.18 3.25L7 14.14 2 9.27l6.91-1.01L12 2z"/>
+                    </svg>
+                </button>`}
+                <button class="conversation-export" data-id="${conversation.id}" title="Export conversation">
+                    <svg width="14" height="14" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2">
+                        <path d="M21 15v4a2 2 0 0 1-2 2H5a2 2 0 0 1-2-2v-4"/>
+                        <path d="M7 10l5 5 5-5M12 15V3"/>
+                    </svg>
+                </button>
                 <button class="conversation-rename" data-id="${conversation.id}" title="Rename conversation">
                     <svg width="14" height="14" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2">
                         <path d="M11 4H4a2 2 0 0 0-2 2v14a2 2 0 0 0 2 2h14a2 2 0 0 0 2-2v-7"/>
                         <path d="M18.5 2.5a2.121 2.121 0 0 1 3 3L12 15l-4 1 1-4 9.5-9.5z"/>
                     </svg>
                 </button>
-                <button class="conversation-delete" data-id="${conversation.id}" title="Delete conversation">
+                <button class="conversation-delete" data-id="${conversation.id}" title="${trashed ? 'Delete permanently' : 'Move to Trash'}">
                     <svg width="14" height="14" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2">
                         <path d="M3 6h18M8 6V4a2 2 0 0 1 2-2h4a2 2 0 0 1 2 2v2m3 0v14a2 2 0 0 1-2 2H7a2 2 0 0 1-2-2V6h14z"/>
                     </svg>
@@ -313,38 +564,131 @@ const Conversations = {
             </div>
         `;
         
-        // Click to load conversation
+        // Click to load conversation (shift/ctrl-click selects instead)
         const mainDiv = item.querySelector('.conversation-item-main');
-        mainDiv.addEventListener('click', () => {
+        mainDiv.addEventListener('click', (e) => {
+            if (BulkActions.handleClick(e, conversation.id)) return;
             this.loadConversation(conversation.id);
         });
         
+        // Star button (restore in the Trash view)
+        const starBtn = item.querySelector('.conversation-star');
+        if (starBtn) {
+            starBtn.addEventListener('click', (e) => {
+                e.stopPropagation();
+                this.setFlag(conversation.id, 'starred', !conversation.starred);
+            });
+        }
+        
+        const restoreBtn = item.querySelector('.conversation-restore');
+        if (restoreBtn) {
+            restoreBtn.addEventListener('click', (e) => {
+                e.stopPropagation();
+                Trash.restore([conversation.id]);
+            });
+        }
+        
+        // Export button
+        const exportBtn = item.querySelector('.conversation-export');
+        exportBtn.addEventListener('click', (e) => {
+            e.stopPropagation();
+            ConversationExport.showMenu(exportBtn, conversation.id);
+        });
+        
         // Rename button
         const renameBtn = item.querySelector('.conversation-rename');
         renameBtn.addEventListener('click', (e) => {
             e.stopPropagation();
-            this.showRenameDialog(conversation.id, conversation.title);
+            this.startRename(conversation.id);
         });
         
-        // Delete button
+        // Delete button (permanent in the Trash view)
         const deleteBtn = item.querySelector('.conversation-delete');
         deleteBtn.addEventListener('click', (e) => {
             e.stopPropagation();
-            if (confirm(`Delete "${conversation.title}"?`)) {
+            if (trashed) {
+                Trash.confirmDeletePermanently([conversation.id]);
+            } else {
                 this.deleteConversation(conversation.id);
             }
         });
         
+        // Right-click menu and drag-and-drop filing
+        item.addEventListener('contextmenu', (e) => {
+            e.preventDefault();
+            ContextMenu.show(e.clientX, e.clientY, this.getConversationMenuItems(conversation, e.clientX, e.clientY));
+        });
+        FolderManager.makeDraggable(item, conversation);
+        
         return item;
     },
+    
+    /**
+     * Context menu items for a conversation item
+     */
+    getConversationMenuItems(conversation, x, y) {
+        if (Trash.isTrashed(conversation)) {
+            return [
+                { label: 'Restore', icon: '↩️', action: () => Trash.restore([conversation.id]) },
+                { label: 'Export...', icon: '⬇️', action: () => {
+                    ContextMenu.show(x, y, ConversationExport.getMenuItems(conversation.id));
+                } },
+                { separator: true },
+                { label: 'Delete Permanently', icon: '🗑️', danger: true,
+                    action: () => Trash.confirmDeletePermanently([conversation.id]) }
+            ];
+        }
+        
+        const items = [
+            { label: 'Rename', icon: '✏️', action: () => this.startRename(conversation.id) },
+            { label: 'Regenerate Title', icon: '✨', action: () => Titles.regenerate(conversation.id) },
+            { label: 'Tags...', icon: '🏷️', action: () => Tags.openEditor(conversation.id) },
+            { label: conversation.pinned ? 'Unpin' : 'Pin to Top', icon: '📌', disabled: !!conversation.archived,
+                action: () => this.setFlag(conversation.id, 'pinned', !conversation.pinned) },
+            { label: conversation.starred ? 'Unstar' : 'Star', icon: '⭐',
+                action: () => this.setFlag(conversation.id, 'starred', !conversation.starred) },
+            { label: conversation.archived ? 'Unarchive' : 'Archive', icon: '🗄️',
+                action: () => this.setFlag(conversation.id, 'archived', !conversation.archived) },
+            { label: 'Export...', icon: '⬇️', action: () => {
+                ContextMenu.show(x, y, ConversationExport.getMenuItems(conversation.id));
+            } }
+        ];
+        
+        const folders = Folders.getAllFolders();
+        if (folders.length > 0) {
+            items.push({ separator: true }, { heading: 'Move to folder' });
+            Folders.getTree().forEach(({ folder, depth }) => {
+                items.push({
+                    label: folder.name,
+                    icon: folder.icon || '📁',
+                    indent: depth,
+                    disabled: conversation.folderId === folder.id,
+                    action: () => this.moveToFolder(conversation.id, folder.id)
+                });
+            });
+            items.push({
+                label: 'No folder',
+                icon: '↩️',
+                disabled: !conversation.folderId,
+                action: () => this.moveToFolder(conversation.id, null)
+            });
+        }
+        
+        items.push(
+            { separator: true },
+            { label: 'Delete', icon: '🗑️', danger: true, action: () => this.deleteConversation(conversation.id) }
+        );
+        
+        return items;
+    },
 
     /**
-     * Show rename dialog
+     * Edit a conversation's title in place in the sidebar
      */
-    showRenameDialog(conversationId, currentTitle) {
-        const newTitle = prompt('New conversation title:', currentTitle);
-        if (newTitle && newTitle.trim() && newTitle !== currentTitle) {
-            this.renameConversation(conversationId, newTitle.trim());
+    startRename(conversationId) {
+        const titleEl = document.querySelector(`#conversationList .conversation-title[data-id="${conversationId}"]`);
+        if (titleEl) {
+            Titles.startEditing(titleEl, conversationId);
         }
     },
     
@@ -393,18 +737,51 @@ const Conversations = {
     
     /**
      * Update conversation after sending message
+     * conversationId is the conversation the messages went to (the pending ID for a
+     * new one), which may no longer be on screen when a response finished in the background
      */
-    async updateAfterMessage() {
+    async updateAfterMessage(conversationId) {
         // Reload conversation list to get updated message counts
         await this.loadConversations();
         
-        // If this was a new conversation, the server created it
-        // Try to find it and set as active
-        if (!this.activeConversationId && this.conversations.length > 0) {
-            const newest = this.conversations[0]; // Most recent
-            this.activeConversationId = newest.id;
-            this.activeConversation = newest;
-            localStorage.setItem('sam-web-last-conversation', newest.id);
+        // If this was the new conversation on screen, the server created it under
+        // its pending ID - set it as active
+        if (!this.activeConversationId && conversationId && conversationId === Parameters.conversationId) {
+            const created = this.conversations.find(c => c.id === conversationId);
+            if (created) {
+                this.activeConversationId = created.id;
+                this.activeConversation = created;
+                localStorage.setItem('sam-web-last-conversation', created.id);
+            }
+        }
+        
+        // The server saved the new messages - let other tabs know
+        TabSync.conversationChanged(conversationId);
+    },
+    
+    /**
+     * Conversations changed elsewhere (another tab, the SAM app): reload the
+     * list, then leave the open conversation if it was deleted or merge its changes
+     */
+    async applyRemoteChanges(conversationIds) {
+        await this.loadConversations();
+        
+        const activeId = this.activeConversationId;
+        if (!activeId) return;
+        
+        const active = this.conversations.find(c => c.id === activeId);
+        if (!active || Trash.isTrashed(active)) {
+            Toast.info('The open conversation was deleted elsewhere');
+            if (active) {
+                await Trash.leaveIfActive([activeId]);
+            } else {
+                await this.createConversation();
+            }
+            return;
+        }
+        
+        if (conversationIds.includes(activeId) && window.onRemoteConversationChanged) {
+            await window.onRemoteConversationChanged(activeId);
         }
     }
 };
@@ -0,0 +1,338 @@
+// SPDX-License-Identifier: GPL-3.0-only
+// SPDX-FileCopyrightText: Copyright (c) 2026 Andrew Wyatt (Fewtarius)
+
+/**
+ * Conversation Export for SAM-Web
+ * Exports a conversation as JSON (messages + settings), Markdown, plain text,
+ * or PDF via the browser's print dialog (rendered markdown, code and diagrams)
+ */
+
+const ConversationExport = {
+    formats: {
+        json: { label: 'JSON', icon: '🧾' },
+        markdown: { label: 'Markdown', icon: '📝' },
+        text: { label: 'Plain Text', icon: '📄' },
+        pdf: { label: 'PDF (Print)', icon: '🖨️' }
+    },
+
+    // Identifies SAM-Web exports (used by import)
+    formatId: 'sam-web-conversation',
+    collectionFormatId: 'sam-web-conversations',
+    formatVersion: 1,
+
+    /**
+     * Show the format menu below an anchor element
+     */
+    showMenu(anchor, conversationId) {
+        ContextMenu.showBelow(anchor, this.getMenuItems(conversationId));
+    },
+
+    /**
+     * Format choices as context menu items
+     */
+    getMenuItems(conversationId) {
+        return Object.entries(this.formats).map(([format, { label, icon }]) => ({
+            label,
+            icon,
+            action: () => this.exportConversation(conversationId, format)
+        }));
+    },
+
+    /**
+     * Export a conversation in the given format
+     */
+    async exportConversation(conversationId, format) {
+        if (!conversationId) {
+            Toast.warning('Send a message first - there is nothing to export yet');
+            return;
+        }
+
+        try {
+            const data = await this.buildExport(conversationId);
+            const filename = this.getFilename(data.conversation.title);
+
+            switch (format) {
+                case 'json':
+                    this.download(`${filename}.json`, JSON.stringify(data, null, 2), 'application/json');
+                    break;
+                case 'markdown':
+                    this.download(`${filename}.md`, this.toMarkdown(data), 'text/markdown');
+                    break;
+                case 'text':
+                    this.download(`${filename}.txt`, this.toText(data), 'text/plain');
+                    break;
+                case 'pdf':
+                    await this.print(data);
+                    return;
+            }
+
+            Toast.success(`Exported "${data.conversation.title}" as ${this.formats[format].label}`);
+        } catch (error) {
+            console.error('[Export] Failed to export conversation:', error);
+            Toast.error('Failed to export conversation: ' + error.message);
+        }
+    },
+
+    /**
+     * Build the JSON export: conversation metadata, settings and messages
+     */
+    async buildExport(conversationId) {
+        const conversation = await API.getConversation(conversationId);
+        const stored = conversation.settings || {};
+        const isActive = conversationId === Conversations.activeConversationId;
+
+        // The active conversation's live settings may be newer than what the server has
+        const parameters = isActive ? Parameters.getConversationSettings() : {
+            temperature: stored.temperature,
+            topP: stored.topP,
+            repetitionPenalty: stored.repetitionPenalty,
+            enableReasoning: stored.enableReasoning,
+            enableTools: stored.enableTools
+        };
+        const systemPromptId = isActive ? Prompts.selectedSystemPrompt : stored.system_prompt_id;
+        const miniPromptIds = isActive ? Prompts.selectedMiniPrompts : (stored.mini_prompt_ids || []);
+        const personalityId = isActive ? Personalities.selectedPersonality : stored.personalityId;
+
+        const systemPrompt = Prompts.systemPrompts.find(p => p.id === systemPromptId);
+        const personality = personalityId ? Personalities.getPersonality(personalityId) : null;
+
+        // Folder is matched by name/path on import (IDs differ between installs)
+        const listed = Conversations.conversations.find(c => c.id === conversationId);
+        const folderId = conversation.folderId || listed?.folderId;
+        const folder = folderId ? Folders.getFolder(folderId) : null;
+
+        return {
+            format: this.formatId,
+            version: this.formatVersion,
+            exportedAt: new Date().toISOString(),
+            conversation: {
+                id: conversation.id,
+                title: conversation.title || 'Conversation',
+                created: conversation.created,
+                updated: conversation.updated
+            },
+            folder: folder ? {
+                name: folder.name,
+                path: [...Folders.getAncestors(folder.id), folder].map(f => f.name),
+                color: folder.color || null,
+                icon: folder.icon || null
+            } : null,
+            settings: {
+                model: stored.selectedModel || conversation.model || null,
+                ...parameters,
+                systemPromptId: systemPromptId || null,
+                systemPromptName: systemPrompt?.name || null,
+                miniPromptIds,
+                personalityId: personalityId || null,
+                personalityName: personality?.name || null
+            },
+            messages: this.getMessages(conversationId, conversation.messages || []).map(msg => {
+                const message = { role: msg.role, content: msg.content };
+                if (msg.meta?.timestamp) message.timestamp = msg.meta.timestamp;
+                if (msg.reasoning) message.reasoning = msg.reasoning;
+                if (Array.isArray(msg.toolCalls) && msg.toolCalls.length > 0) message.toolCalls = msg.toolCalls;
+                if (msg.usage) message.usage = msg.usage;
+                if (msg.meta) message.meta = msg.meta;
+                return message;
+            })
+        };
+    },
+
+    /**
+     * Messages on the conversation's active branch, as the chat shows them -
+     * the server's list has every branch one after another, and client-side
+     * usage and metadata are kept by position on the active branch
+     */
+    getMessages(conversationId, serverMessages) {
+        const messages = serverMessages.map(msg => {
+            const parts = Reasoning.split(msg.content || '');
+            const message = {
+                role: msg.isFromUser ? 'user' : 'assistant',
+                content: parts.content
+            };
+            const reasoning = msg.reasoningContent || msg.reasoning || parts.reasoning;
+            if (reasoning) message.reasoning = reasoning;
+            if (Array.isArray(msg.toolCalls)) message.toolCalls = msg.toolCalls;
+            if (msg.timestamp) message.meta = { timestamp: msg.timestamp };
+            return message;
+        });
+
+        // Copies, so restoring doesn't touch the messages of an open conversation
+        const path = Branches.peek(conversationId, messages).map(message => ({ ...message }));
+        Usage.restorePath(conversationId, path);
+        MessageMeta.restorePath(conversationId, path);
+        return path;
+    },
+
+    /**
+     * Download several built exports as one file (PDF is single-conversation only)
+     */
+    downloadMany(exports, format) {
+        const filename = `sam-conversations-${new Date().toISOString().slice(0, 10)}`;
+
+        switch (format) {
+            case 'json':
+                this.download(`${filename}.json`, JSON.stringify({
+                    format: this.collectionFormatId,
+                    version: this.formatVersion,
+                    exportedAt: new Date().toISOString(),
+                    conversations: exports
+                }, null, 2), 'application/json');
+                break;
+            case 'markdown':
+                this.download(`${filename}.md`, exports.map(data => this.toMarkdown(data)).join('\n\n---\n\n'), 'text/markdown');
+                break;
+            case 'text':
+                this.download(`${filename}.txt`, exports.map(data => this.toText(data)).join('\n\n'), 'text/plain');
+                break;
+        }
+    },
+
+    /**
+     * Markdown transcript
+     */
+    toMarkdown(data) {
+        const lines = [`# ${data.conversation.title}`, ''];
+        lines.push(`_Exported from SAM-Web on ${new Date(data.exportedAt).toLocaleString()}${data.settings.model ? ` · Model: ${data.settings.model}` : ''}_`);
+        lines.push('', '---', '');
+
+        data.messages.forEach(message => {
+            lines.push(`### ${message.role === 'user' ? '👤 You' : '🤖 SAM'}`, '');
+
+            if (message.reasoning) {
+                lines.push('<details>', '<summary>Thinking</summary>', '', message.reasoning, '', '</details>', '');
+            }
+
+            (message.toolCalls || []).forEach(call => {
+                lines.push(`> 🔧 **${call.name || 'Tool'}**${call.status ? ` (${call.status})` : ''}`, '');
+                if (call.arguments) {
+                    lines.push('```json', this.formatJSON(call.arguments), '```', '');
+                }
+            });
+
+            lines.push(message.content, '');
+        });
+
+        return lines.join('\n');
+    },
+
+    /**
+     * Plain-text transcript
+     */
+    toText(data) {
+        const lines = [data.conversation.title, '='.repeat(data.conversation.title.length), ''];
+        lines.push(`Exported from SAM-Web on ${new Date(data.exportedAt).toLocaleString()}`);
+        if (data.settings.model) lines.push(`Model: ${data.settings.model}`);
+        lines.push('');
+
+        data.messages.forEach(message => {
+            lines.push(`[${message.role === 'user' ? 'You' : 'SAM'}]`);
+            (message.toolCalls || []).forEach(call => {
+                lines.push(`(tool: ${call.name || 'Tool'})`);
+            });
+            lines.push(message.content, '');
+        });
+
+        return lines.join('\n');
+    },
+
+    /**
+     * Print a rendered transcript (Save as PDF from the print dialog)
+     */
+    async print(data) {
+        const view = document.createElement('div');
+        view.id = 'printView';
+        view.className = 'print-view';
+
+        const header = document.createElement('header');
+        header.className = 'print-header';
+        header.innerHTML = `
+            <h1>${Markdown.escapeHtml(data.conversation.title)}</h1>
+            <p>Exported from SAM-Web on ${new Date(data.exportedAt).toLocaleString()}${data.settings.model ? ` · Model: ${Markdown.escapeHtml(data.settings.model)}` : ''}</p>
+        `;
+        view.appendChild(header);
+
+        data.messages.forEach(message => {
+            const item = document.createElement('section');
+            item.className = `print-message ${message.role}`;
+
+            const role = document.createElement('div');
+            role.className = 'print-role';
+            role.textContent = message.role === 'user' ? 'You' : 'SAM';
+            item.appendChild(role);
+
+            (message.toolCalls || []).forEach(call => {
+                const tool = document.createElement('div');
+                tool.className = 'print-tool';
+                tool.textContent = `🔧 ${call.name || 'Tool'}`;
+                item.appendChild(tool);
+            });
+
+            const content = document.createElement('div');
+            content.className = 'message-content';
+            content.innerHTML = Markdown.render(message.content);
+            item.appendChild(content);
+
+            view.appendChild(item);
+        });
+
+        document.body.appendChild(view);
+        document.body.classList.add('printing');
+
+        // Diagrams render asynchronously - wait before opening the dialog
+        try {
+            await Markdown.initializeMermaid();
+        } catch (error) {
+            console.error('[Export] Mermaid render failed:', error);
+        }
+
+        const cleanup = () => {
+            view.remove();
+            document.body.classList.remove('printing');
+            window.removeEventListener('afterprint', cleanup);
+        };
+        window.addEventListener('afterprint', cleanup);
+
+        window.print();
+    },
+
+    /**
+     * Save text as a file
+     */
+    download(filename, text, type) {
+        const blob = new Blob([text], { type: `${type};charset=utf-8` });
+        const url = URL.createObjectURL(blob);
+
+        const link = document.createElement('a');
+        link.href = url;
+        link.download = filename;
+        document.body.appendChild(link);
+        link.click();
+        link.remove();
+
+        setTimeout(() => URL.revokeObjectURL(url), 1000);
+    },
+
+    /**
+     * Safe file name from a title
+     */
+    getFilename(title) {
+        const slug = (title || 'conversation')
+            .toLowerCase()
+            .replace(/[^a-z0-9]+/g, '-')
+            .replace(/^-+|-+$/g, '')
+            .substring(0, 60);
+        return `sam-${slug || 'conversation'}-${new Date().toISOString().slice(0, 10)}`;
+    },
+
+    /**
+     * Pretty-print JSON strings, falling back to raw text
+     */
+    formatJSON(text) {
+        try {
+            return JSON.stringify(typeof text === 'string' ? JSON.parse(text) : text, null, 2);
+        } catch (e) {
+            return text;
+        }
+    }
+};
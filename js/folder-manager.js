@@ -0,0 +1,443 @@
+// SPDX-License-Identifier: GPL-3.0-only
+// SPDX-FileCopyrightText: Copyright (c) 2026 Andrew Wyatt (Fewtarius)
+
+/**
+ * Folder Management UI for SAM-Web
+ * New/edit folder dialog (name, parent, color, icon), folder context menus,
+ * delete choices and drag-and-drop filing of conversations and folders
+ */
+
+const FolderManager = {
+    colors: ['#5b9bd5', '#70ad47', '#ffc000', '#ed7d31', '#e05555', '#a66bd3', '#4bc0c0', '#8c8c8c'],
+    icons: ['📁', '💼', '🏠', '💡', '🧪', '📚', '🛠️', '🎨', '🚀', '⭐', '🔒', '🗂️'],
+
+    // Folder being edited (null = creating)
+    editingFolderId: null,
+    // Folder pending deletion
+    deletingFolderId: null,
+
+    // MIME types for dragged conversations and folders
+    dragType: 'application/x-sam-conversation',
+    folderDragType: 'application/x-sam-folder',
+
+    /**
+     * Set up dialogs
+     */
+    init() {
+        const newBtn = document.getElementById('newFolderBtn');
+        if (newBtn) {
+            newBtn.addEventListener('click', () => this.openFolderDialog());
+        }
+
+        this.setupFolderDialog();
+        this.setupDeleteDialog();
+    },
+
+    /**
+     * New/edit folder dialog
+     */
+    setupFolderDialog() {
+        const modal = document.getElementById('folderDialog');
+        if (!modal) return;
+
+        modal.querySelector('.modal-close').addEventListener('click', () => this.closeFolderDialog());
+        document.getElementById('folderDialogCancelBtn').addEventListener('click', () => this.closeFolderDialog());
+        modal.addEventListener('click', (e) => {
+            if (e.target === modal) this.closeFolderDialog();
+        });
+
+        document.getElementById('folderDialogForm').addEventListener('submit', (e) => {
+            e.preventDefault();
+            this.saveFolderDialog();
+        });
+
+        // Swatches and icons behave like radio buttons
+        const colorPicker = document.getElementById('folderColorPicker');
+        colorPicker.innerHTML = '';
+        [null, ...this.colors].forEach(color => {
+            const swatch = document.createElement('button');
+            swatch.type = 'button';
+            swatch.className = 'folder-swatch';
+            swatch.dataset.value = color || '';
+            swatch.title = color || 'No color';
+            if (color) {
+                swatch.style.background = color;
+            } else {
+                swatch.classList.add('none');
+            }
+            swatch.addEventListener('click', () => this.selectOption(colorPicker, swatch.dataset.value));
+            colorPicker.appendChild(swatch);
+        });
+
+        const iconPicker = document.getElementById('folderIconPicker');
+        iconPicker.innerHTML = '';
+        ['', ...this.icons].forEach(icon => {
+            const option = document.createElement('button');
+            option.type = 'button';
+            option.className = 'folder-icon-option';
+            option.dataset.value = icon;
+            option.textContent = icon || '—';
+            option.title = icon ? icon : 'No icon';
+            option.addEventListener('click', () => this.selectOption(iconPicker, icon));
+            iconPicker.appendChild(option);
+        });
+    },
+
+    /**
+     * Mark the chosen swatch/icon
+     */
+    selectOption(picker, value) {
+        picker.dataset.value = value;
+        picker.querySelectorAll('button').forEach(button => {
+            button.classList.toggle('selected', button.dataset.value === value);
+        });
+    },
+
+    /**
+     * Open the folder dialog (folder = null to create, optionally inside parentId)
+     */
+    openFolderDialog(folder = null, parentId = null) {
+        this.editingFolderId = folder ? folder.id : null;
+
+        document.getElementById('folderDialogTitle').textContent = folder ? 'Edit Folder' : 'New Folder';
+        document.getElementById('folderDialogSaveBtn').textContent = folder ? 'Save' : 'Create';
+
+        const nameInput = document.getElementById('folderNameInput');
+        nameInput.value = folder ? folder.name : '';
+
+        this.renderParentOptions(folder, folder ? Folders.getParentId(folder.id) : parentId);
+
+        this.selectOption(document.getElementById('folderColorPicker'), folder?.color || '');
+        this.selectOption(document.getElementById('folderIconPicker'), folder?.icon || '');
+
+        document.getElementById('folderDialog').style.display = 'flex';
+        nameInput.focus();
+        nameInput.select();
+    },
+
+    /**
+     * Fill the parent select (a folder can't be placed inside its own subtree)
+     */
+    renderParentOptions(folder, selectedId) {
+        const select = document.getElementById('folderParentSelect');
+        select.innerHTML = '<option value="">None (top level)</option>';
+
+        Folders.getTree().forEach(({ folder: option, depth }) => {
+            if (folder && !Folders.canMove(folder.id, option.id)) return;
+
+            const el = document.createElement('option');
+            el.value = option.id;
+            el.textContent = `${'\u00a0\u00a0'.repeat(depth)}${option.icon ? option.icon + ' ' : ''}${option.name}`;
+            select.appendChild(el);
+        });
+
+        select.value = selectedId || '';
+    },
+
+    closeFolderDialog() {
+        document.getElementById('folderDialog').style.display = 'none';
+        this.editingFolderId = null;
+    },
+
+    /**
+     * Create or update the folder from the dialog
+     */
+    async saveFolderDialog() {
+        const name = document.getElementById('folderNameInput').value.trim();
+        const color = document.getElementById('folderColorPicker').dataset.value || null;
+        const icon = document.getElementById('folderIconPicker').dataset.value || null;
+        const parentId = document.getElementById('folderParentSelect').value || null;
+
+        if (!name) {
+            Toast.warning('Folder name is required');
+            return;
+        }
+
+        // Names only need to be unique among siblings
+        const duplicate = Folders.getChildren(parentId).find(f =>
+            f.id !== this.editingFolderId && f.name.toLowerCase() === name.toLowerCase());
+        if (duplicate) {
+            Toast.warning(`A folder named "${duplicate.name}" already exists`);
+            return;
+        }
+
+        try {
+            if (this.editingFolderId) {
+                const updates = { name, color, icon };
+                if (parentId !== Folders.getParentId(this.editingFolderId)) {
+                    updates.parentId = parentId;
+                }
+                await Folders.updateFolder(this.editingFolderId, updates);
+                Toast.success('Folder updated');
+            } else {
+                await Folders.createFolder(name, color, icon, parentId);
+                Toast.success(`Folder "${name}" created`);
+            }
+            if (parentId) {
+                Folders.expandPath(parentId);
+            }
+            this.closeFolderDialog();
+            Conversations.renderConversationList();
+        } catch (error) {
+            Toast.error('Failed to save folder: ' + error.message);
+        }
+    },
+
+    /**
+     * Folder context menu (right-click or ⋯ button)
+     */
+    showFolderMenu(folderId, x, y) {
+        const folder = Folders.getFolder(folderId);
+        if (!folder) return;
+
+        const items = [
+            { label: 'Rename / Customize', icon: '✏️', action: () => this.openFolderDialog(folder) },
+            { label: 'New Subfolder', icon: '➕', action: () => this.openFolderDialog(null, folderId) },
+            { label: Folders.isCollapsed(folderId) ? 'Expand' : 'Collapse', icon: '↕️', action: () => {
+                Folders.toggleCollapsed(folderId);
+                Conversations.renderConversationList();
+            } }
+        ];
+
+        if (Folders.getParentId(folderId)) {
+            items.push({ label: 'Move to Top Level', icon: '⤴️', action: () => this.moveFolder(folderId, null) });
+        }
+
+        ContextMenu.show(x, y, [
+            ...items,
+            { separator: true },
+            { label: 'Delete Folder', icon: '🗑️', danger: true, action: () => this.confirmDelete(folderId) }
+        ]);
+    },
+
+    /**
+     * Delete dialog: move contents to root or delete them too
+     */
+    setupDeleteDialog() {
+        const modal = document.getElementById('folderDeleteModal');
+        if (!modal) return;
+
+        const close = () => {
+            modal.style.display = 'none';
+            this.deletingFolderId = null;
+        };
+
+        modal.querySelector('.modal-close').addEventListener('click', close);
+        document.getElementById('folderDeleteCancelBtn').addEventListener('click', close);
+        modal.addEventListener('click', (e) => {
+            if (e.target === modal) close();
+        });
+
+        document.getElementById('folderDeleteKeepBtn').addEventListener('click', () => {
+            const folderId = this.deletingFolderId;
+            close();
+            this.deleteFolder(folderId, false);
+        });
+
+        document.getElementById('folderDeleteAllBtn').addEventListener('click', () => {
+            const folderId = this.deletingFolderId;
+            close();
+            this.deleteFolder(folderId, true);
+        });
+    },
+
+    /**
+     * Ask how to delete a folder (empty folders are deleted after a simple confirm)
+     */
+    confirmDelete(folderId) {
+        const folder = Folders.getFolder(folderId);
+        if (!folder) return;
+
+        const count = this.getConversations(folderId, true).length;
+        const subfolders = Folders.getDescendantIds(folderId).length;
+        if (count === 0 && subfolders === 0) {
+            if (confirm(`Delete folder "${folder.name}"?`)) {
+                this.deleteFolder(folderId, false);
+            }
+            return;
+        }
+
+        const contents = [];
+        if (count > 0) contents.push(`${count} conversation${count !== 1 ? 's' : ''}`);
+        if (subfolders > 0) contents.push(`${subfolders} subfolder${subfolders !== 1 ? 's' : ''}`);
+
+        const parentId = Folders.getParentId(folderId);
+        this.deletingFolderId = folderId;
+        document.getElementById('folderDeleteMessage').textContent =
+            `"${folder.name}" contains ${contents.join(' and ')}. What should happen to its contents?`;
+        document.getElementById('folderDeleteKeepBtn').textContent =
+            parentId ? `Move to "${Folders.getFolder(parentId).name}"` : 'Move to root';
+        document.getElementById('folderDeleteModal').style.display = 'flex';
+    },
+
+    /**
+     * Delete a folder. Either its conversations and subfolders move up to the
+     * parent folder (or the root), or the whole subtree is deleted and its
+     * conversations go to the Trash
+     */
+    async deleteFolder(folderId, deleteContents) {
+        const folder = Folders.getFolder(folderId);
+        if (!folder) return;
+
+        const parentId = Folders.getParentId(folderId);
+        const conversations = this.getConversations(folderId, deleteContents);
+        const trashedAt = new Date().toISOString();
+        const failed = [];
+
+        for (const conversation of conversations) {
+            try {
+                if (deleteContents) {
+                    // Folder goes away, so restored conversations land at the root
+                    if (!Trash.isTrashed(conversation)) {
+                        await API.updateConversation(conversation.id, { trashedAt, folderId: null, pinned: false });
+                    } else {
+                        await API.moveConversation(conversation.id, null);
+                    }
+                } else {
+                    await API.moveConversation(conversation.id, parentId);
+                }
+            } catch (error) {
+                console.error('[FolderManager] Failed to update conversation:', conversation.id, error);
+                failed.push(conversation);
+            }
+        }
+
+        if (failed.length > 0) {
+            Toast.error(`${failed.length} conversation${failed.length !== 1 ? 's' : ''} could not be ${deleteContents ? 'moved to Trash' : 'moved'} - folder kept`);
+            await Conversations.loadConversations();
+            return;
+        }
+
+        try {
+            if (deleteContents) {
+                // Deepest folders first so no folder is left without its parent
+                for (const id of Folders.getDescendantIds(folderId).reverse()) {
+                    await Folders.deleteFolder(id);
+                }
+            } else {
+                for (const child of Folders.getChildren(folderId)) {
+                    await Folders.moveFolder(child.id, parentId);
+                }
+            }
+            await Folders.deleteFolder(folderId);
+            Toast.success(`Folder "${folder.name}" deleted`);
+        } catch (error) {
+            Toast.error('Failed to delete folder: ' + error.message);
+        }
+
+        await Conversations.loadConversations();
+
+        // Trashed the open conversation - move on to another one
+        if (deleteContents) {
+            await Trash.leaveIfActive(conversations.map(c => c.id));
+        }
+    },
+
+    /**
+     * Move a folder and its subtree under a new parent (null = top level)
+     */
+    async moveFolder(folderId, parentId) {
+        const folder = Folders.getFolder(folderId);
+        if (!folder || Folders.getParentId(folderId) === parentId) return;
+
+        if (!Folders.canMove(folderId, parentId)) {
+            Toast.warning('A folder cannot be moved into one of its own subfolders');
+            return;
+        }
+
+        try {
+            await Folders.moveFolder(folderId, parentId);
+            if (parentId) {
+                Folders.expandPath(parentId);
+            }
+            Conversations.renderConversationList();
+
+            const parent = parentId ? Folders.getFolder(parentId) : null;
+            Toast.success(parent ? `Moved "${folder.name}" into "${parent.name}"` : `Moved "${folder.name}" to the top level`);
+        } catch (error) {
+            Toast.error('Failed to move folder: ' + error.message);
+        }
+    },
+
+    /**
+     * Conversations filed in a folder (optionally including its subfolders)
+     */
+    getConversations(folderId, includeSubfolders = false) {
+        const ids = includeSubfolders ? [folderId, ...Folders.getDescendantIds(folderId)] : [folderId];
+        return Conversations.conversations.filter(c => ids.includes(c.folderId));
+    },
+
+    /**
+     * Make a conversation item draggable
+     */
+    makeDraggable(item, conversation) {
+        item.draggable = true;
+        item.addEventListener('dragstart', (e) => {
+            e.dataTransfer.setData(this.dragType, conversation.id);
+            e.dataTransfer.effectAllowed = 'move';
+            item.classList.add('dragging');
+            document.body.classList.add('dragging-conversation');
+        });
+        item.addEventListener('dragend', () => {
+            item.classList.remove('dragging');
+            document.body.classList.remove('dragging-conversation');
+            document.querySelectorAll('.drop-target').forEach(el => el.classList.remove('drop-target'));
+        });
+    },
+
+    /**
+     * Make a folder header draggable (moves the whole subtree)
+     */
+    makeFolderDraggable(header, folderId) {
+        header.draggable = true;
+        header.addEventListener('dragstart', (e) => {
+            e.stopPropagation();
+            e.dataTransfer.setData(this.folderDragType, folderId);
+            e.dataTransfer.effectAllowed = 'move';
+            header.classList.add('dragging');
+            document.body.classList.add('dragging-folder');
+        });
+        header.addEventListener('dragend', () => {
+            header.classList.remove('dragging');
+            document.body.classList.remove('dragging-folder');
+            document.querySelectorAll('.drop-target').forEach(el => el.classList.remove('drop-target'));
+        });
+    },
+
+    /**
+     * Accept dropped conversations and folders (folderId = null for the root)
+     */
+    makeDropTarget(element, folderId) {
+        const accepts = (e) => e.dataTransfer.types.includes(this.dragType) ||
+            e.dataTransfer.types.includes(this.folderDragType);
+
+        element.addEventListener('dragover', (e) => {
+            if (!accepts(e)) return;
+            e.preventDefault();
+            e.stopPropagation();
+            e.dataTransfer.dropEffect = 'move';
+            element.classList.add('drop-target');
+        });
+
+        element.addEventListener('dragleave', (e) => {
+            if (!element.contains(e.relatedTarget)) {
+                element.classList.remove('drop-target');
+            }
+        });
+
+        element.addEventListener('drop', (e) => {
+            const conversationId = e.dataTransfer.getData(this.dragType);
+            const draggedFolderId = e.dataTransfer.getData(this.folderDragType);
+            if (!conversationId && !draggedFolderId) return;
+            e.preventDefault();
+            e.stopPropagation();
+            element.classList.remove('drop-target');
+
+            if (draggedFolderId) {
+                this.moveFolder(draggedFolderId, folderId);
+            } else {
+                Conversations.moveToFolder(conversationId, folderId);
+            }
+        });
+    }
+};
@@ -18,6 +18,17 @@ const Folders = {
         console.log('Folders.init() starting...');
         
         // Load collapsed state from localStorage
+        this.loadCollapsedState();
+        
+        // Fetch folders from API
+        await this.fetchFolders();
+        console.log('Folders.init() complete. Folders:', this.folders);
+    },
+    
+    /**
+     * Load collapsed state from localStorage (also when another tab changes it)
+     */
+    loadCollapsedState() {
         const collapsed = localStorage.getItem('sam-web-collapsed-folders');
         if (collapsed) {
             try {
@@ -27,11 +38,9 @@ const Folders = {
             } catch (e) {
                 console.error('Failed to parse collapsed folders:', e);
             }
+        } else {
+            this.collapsedFolders = new Set();
         }
-        
-        // Fetch folders from API
-        await this.fetchFolders();
-        console.log('Folders.init() complete. Folders:', this.folders);
     },
     
     /**
@@ -51,14 +60,17 @@ const Folders = {
     },
     
     /**
-     * Create a new folder
+     * Create a new folder (parentId = null for a top-level folder)
      */
-    async createFolder(name, color = null, icon = null) {
+    async createFolder(name, color = null, icon = null, parentId = null) {
         try {
             const response = await API.request('/api/folders', {
                 method: 'POST',
-                body: JSON.stringify({ name, color, icon })
+                body: JSON.stringify({ name, color, icon, parentId })
             });
+            if (response && response.parentId === undefined) {
+                response.parentId = parentId;
+            }
             
             // Add to local state
             this.folders.push(response);
@@ -72,7 +84,7 @@ const Folders = {
     },
     
     /**
-     * Update folder (rename, change color/icon, toggle collapsed)
+     * Update folder (rename, change color/icon/parent, toggle collapsed)
      */
     async updateFolder(folderId, updates) {
         try {
@@ -155,5 +167,119 @@ const Folders = {
      */
     getAllFolders() {
         return [...this.folders].sort((a, b) => a.name.localeCompare(b.name));
+    },
+    
+    /**
+     * Get a folder's parent ID (folders whose parent is missing, or whose
+     * ancestors loop back to themselves, count as top-level)
+     */
+    getParentId(folderId) {
+        const folder = this.getFolder(folderId);
+        if (!folder || !folder.parentId || !this.getFolder(folder.parentId)) {
+            return null;
+        }
+        if (this.isInCycle(folderId)) {
+            return null;
+        }
+        return folder.parentId;
+    },
+
+    /**
+     * Whether following parents from a folder leads back to it
+     */
+    isInCycle(folderId) {
+        const seen = new Set();
+        let current = this.getFolder(folderId);
+        while (current && current.parentId && !seen.has(current.id)) {
+            seen.add(current.id);
+            if (current.parentId === folderId) return true;
+            current = this.getFolder(current.parentId);
+        }
+        return false;
+    },
+    
+    /**
+     * Get direct children of a folder (null = top-level folders), sorted alphabetically
+     */
+    getChildren(parentId = null) {
+        return this.getAllFolders().filter(f => this.getParentId(f.id) === parentId);
+    },
+    
+    /**
+     * Get IDs of all folders below a folder (not including itself)
+     * seen guards against parent cycles (a cross-tab move race or corrupted data)
+     */
+    getDescendantIds(folderId, seen = new Set([folderId])) {
+        const ids = [];
+        this.getChildren(folderId).forEach(child => {
+            if (seen.has(child.id)) return;
+            seen.add(child.id);
+            ids.push(child.id, ...this.getDescendantIds(child.id, seen));
+        });
+        return ids;
+    },
+    
+    /**
+     * Get ancestor folders from the top level down to the folder's parent
+     */
+    getAncestors(folderId) {
+        const ancestors = [];
+        const seen = new Set([folderId]);
+        let parentId = this.getParentId(folderId);
+        while (parentId && !seen.has(parentId)) {
+            seen.add(parentId);
+            ancestors.unshift(this.getFolder(parentId));
+            parentId = this.getParentId(parentId);
+        }
+        return ancestors;
+    },
+    
+    /**
+     * Get the folder's full path, e.g. "Work / Clients / Acme"
+     */
+    getPath(folderId) {
+        const folder = this.getFolder(folderId);
+        if (!folder) return '';
+        return [...this.getAncestors(folderId), folder].map(f => f.name).join(' / ');
+    },
+    
+    /**
+     * Flatten the tree in display order: [{ folder, depth }]
+     */
+    getTree(parentId = null, depth = 0, seen = new Set()) {
+        const nodes = [];
+        this.getChildren(parentId).forEach(folder => {
+            if (seen.has(folder.id)) return;
+            seen.add(folder.id);
+            nodes.push({ folder, depth }, ...this.getTree(folder.id, depth + 1, seen));
+        });
+        return nodes;
+    },
+    
+    /**
+     * Whether a folder can be moved under a new parent (not into itself or its subtree)
+     */
+    canMove(folderId, parentId) {
+        if (!parentId) return true;
+        return parentId !== folderId && !this.getDescendantIds(folderId).includes(parentId);
+    },
+    
+    /**
+     * Move a folder (and its subtree) under a new parent (null = top level)
+     */
+    async moveFolder(folderId, parentId) {
+        if (!this.canMove(folderId, parentId)) {
+            throw new Error('A folder cannot be moved into itself');
+        }
+        await this.updateFolder(folderId, { parentId });
+    },
+    
+    /**
+     * Expand a folder's ancestors so it is visible
+     */
+    expandPath(folderId) {
+        const ids = [...this.getAncestors(folderId).map(f => f.id), folderId];
+        ids.forEach(id => this.collapsedFolders.delete(id));
+        this.saveCollapsedState();
     }
 };
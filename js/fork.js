@@ -0,0 +1,152 @@
+// SPDX-License-Identifier: GPL-3.0-only
+// SPDX-FileCopyrightText: Copyright (c) 2026 Andrew Wyatt (Fewtarius)
+
+/**
+ * Conversation Forking for SAM-Web
+ * "Fork from here" creates a new conversation with the history up to a
+ * message, the same prompts, personality, parameters and shared topic, in the
+ * same folder. The fork links back to its parent from the chat header.
+ *
+ * The parent link is sent to the server (forkedFrom) and also kept locally
+ * (localStorage) so it survives servers that don't store it.
+ */
+
+const ConversationFork = {
+    // State
+    links: {},              // conversationId -> { conversationId, title } of the parent
+    forking: false,
+
+    /**
+     * Load saved parent links
+     */
+    init() {
+        try {
+            this.links = JSON.parse(localStorage.getItem('sam-web-forks') || '{}');
+        } catch (e) {
+            console.error('[Fork] Failed to parse saved forks:', e);
+            this.links = {};
+        }
+    },
+
+    /**
+     * Create a fork of the active conversation from a history (messages up to
+     * and including the chosen one) and open it
+     */
+    async fork(history, model) {
+        if (this.forking || history.length === 0) return;
+
+        const sourceId = Conversations.activeConversationId;
+        const source = Conversations.conversations.find(c => c.id === sourceId) || Conversations.activeConversation;
+        const title = `${source?.title || 'Conversation'} (fork)`;
+        const folderId = source?.folderId || null;
+        const forkedFrom = sourceId ? { conversationId: sourceId, title: source?.title || null } : null;
+
+        this.forking = true;
+        try {
+            const response = await API.createConversation({
+                title,
+                folderId,
+                forkedFrom,
+                settings: this.getSettings(model),
+                messages: history.map(message => ({
+                    content: message.content,
+                    isFromUser: message.role === 'user',
+                    timestamp: message.meta?.timestamp || new Date().toISOString()
+                }))
+            });
+
+            const conversationId = response?.id || response?.conversation?.id;
+            if (!conversationId) {
+                throw new Error('Server did not return the new conversation');
+            }
+
+            // Keep recorded token usage and metadata with the copied messages
+            history.forEach((message, index) => {
+                if (message.usage) {
+                    Usage.record(conversationId, index, message.usage, message.usage.model);
+                }
+            });
+            MessageMeta.recordPath(conversationId, history);
+
+            if (forkedFrom) {
+                this.links[conversationId] = forkedFrom;
+                this.save();
+            }
+
+            await Conversations.loadConversations();
+            if (folderId) Folders.expandPath(folderId);
+            await Conversations.loadConversation(conversationId);
+
+            Toast.success(`Forked into "${title}"`);
+        } catch (error) {
+            console.error('[Fork] Failed to fork conversation:', error);
+            Toast.error('Failed to fork conversation: ' + error.message);
+        } finally {
+            this.forking = false;
+        }
+    },
+
+    /**
+     * Settings for the fork in the keys the server stores (live values of the
+     * active conversation, which may be newer than what the server has)
+     */
+    getSettings(model) {
+        const stored = Conversations.activeConversation?.settings || {};
+
+        return {
+            ...stored,
+            selectedModel: model || stored.selectedModel,
+            ...Parameters.getConversationSettings(),
+            system_prompt_id: Prompts.selectedSystemPrompt || null,
+            mini_prompt_ids: [...Prompts.selectedMiniPrompts],
+            personalityId: Personalities.selectedPersonality || null,
+            useSharedData: SharedTopics.enabled,
+            sharedTopicId: SharedTopics.currentTopicId
+        };
+    },
+
+    /**
+     * Parent of a forked conversation: { conversationId, title } or null
+     */
+    getParent(conversation) {
+        if (!conversation) return null;
+        return conversation.forkedFrom || this.links[conversation.id] || null;
+    },
+
+    /**
+     * "Forked from ..." link in the chat header (hidden for other conversations)
+     */
+    renderParentLink(conversation) {
+        const link = document.getElementById('forkParentLink');
+        if (!link) return;
+
+        const parent = this.getParent(conversation);
+        if (!parent) {
+            link.style.display = 'none';
+            return;
+        }
+
+        // Prefer the parent's current title; it may have been renamed or deleted
+        const listed = Conversations.conversations.find(c => c.id === parent.conversationId);
+        const available = listed && !Trash.isTrashed(listed);
+
+        link.textContent = `↳ Forked from ${listed?.title || parent.title || 'another conversation'}`;
+        link.title = available ? 'Open the parent conversation' : 'The parent conversation was deleted';
+        link.disabled = !available;
+        link.onclick = () => Conversations.loadConversation(parent.conversationId);
+        link.style.display = 'inline-flex';
+    },
+
+    /**
+     * Forget a deleted conversation's parent link
+     */
+    forget(conversationId) {
+        if (!this.links[conversationId]) return;
+        delete this.links[conversationId];
+        this.save();
+    },
+
+    save() {
+        localStorage.setItem('sam-web-forks', JSON.stringify(this.links));
+    }
+};
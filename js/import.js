@@ -0,0 +1,456 @@
+// SPDX-License-Identifier: GPL-3.0-only
+// SPDX-FileCopyrightText: Copyright (c) 2026 Andrew Wyatt (Fewtarius)
+
+/**
+ * Conversation Import for SAM-Web
+ * Reads SAM-Web JSON exports, ChatGPT conversations.json and OpenAI-format
+ * message arrays, previews them, then creates them on the server (with
+ * folder and settings) and reports the result per conversation
+ *
+ * Every source is normalized to:
+ * { title, created, messages: [{ role, content, timestamp }], settings, folder, usage, source }
+ */
+
+const ConversationImport = {
+    // State
+    items: [],          // normalized conversations from the selected files
+    importing: false,
+
+    sourceLabels: {
+        'sam-web': 'SAM-Web',
+        chatgpt: 'ChatGPT',
+        openai: 'OpenAI messages'
+    },
+
+    /**
+     * Set up dialog listeners
+     */
+    init() {
+        const openBtn = document.getElementById('importConversationsBtn');
+        if (openBtn) {
+            openBtn.addEventListener('click', () => this.open());
+        }
+
+        const modal = document.getElementById('importModal');
+        if (!modal) return;
+
+        modal.querySelector('.modal-close').addEventListener('click', () => this.close());
+        modal.addEventListener('click', (e) => {
+            if (e.target === modal) this.close();
+        });
+
+        const fileInput = document.getElementById('importFileInput');
+        fileInput.addEventListener('change', () => {
+            this.readFiles(fileInput.files);
+            fileInput.value = '';
+        });
+
+        // Drag and drop files onto the drop zone
+        const dropZone = document.getElementById('importDropZone');
+        dropZone.addEventListener('click', () => fileInput.click());
+        dropZone.addEventListener('dragover', (e) => {
+            e.preventDefault();
+            dropZone.classList.add('dragover');
+        });
+        dropZone.addEventListener('dragleave', () => dropZone.classList.remove('dragover'));
+        dropZone.addEventListener('drop', (e) => {
+            e.preventDefault();
+            dropZone.classList.remove('dragover');
+            this.readFiles(e.dataTransfer.files);
+        });
+
+        document.getElementById('importStartBtn').addEventListener('click', () => this.importSelected());
+    },
+
+    /**
+     * Open the dialog (fresh state)
+     */
+    open() {
+        if (this.importing) {
+            document.getElementById('importModal').style.display = 'flex';
+            return;
+        }
+
+        this.items = [];
+        this.renderPreview();
+        document.getElementById('importModal').style.display = 'flex';
+    },
+
+    close() {
+        document.getElementById('importModal').style.display = 'none';
+    },
+
+    /**
+     * Read and parse the selected files
+     */
+    async readFiles(fileList) {
+        const files = Array.from(fileList || []);
+        if (files.length === 0 || this.importing) return;
+
+        for (const file of files) {
+            try {
+                const data = JSON.parse(await file.text());
+                const conversations = this.parse(data);
+                if (conversations.length === 0) {
+                    throw new Error('No conversations found');
+                }
+                conversations.forEach(conversation => {
+                    this.items.push({ ...conversation, file: file.name, selected: true, status: 'pending', error: null });
+                });
+            } catch (error) {
+                console.error('[Import] Failed to read', file.name, error);
+                Toast.error(`${file.name}: ${error instanceof SyntaxError ? 'not valid JSON' : error.message}`);
+            }
+        }
+
+        this.renderPreview();
+    },
+
+    /**
+     * Detect the format and normalize
+     */
+    parse(data) {
+        const list = Array.isArray(data) ? data : [data];
+        if (list.length === 0) return [];
+
+        // SAM-Web export (single, array, or { conversations: [...] })
+        if (data && data.format === ConversationExport.collectionFormatId && Array.isArray(data.conversations)) {
+            return data.conversations.map(item => this.fromSamWeb(item));
+        }
+        if (list.every(item => item && item.format === ConversationExport.formatId)) {
+            return list.map(item => this.fromSamWeb(item));
+        }
+
+        // ChatGPT conversations.json
+        if (list.every(item => item && item.mapping && typeof item.mapping === 'object')) {
+            return list.map(item => this.fromChatGPT(item)).filter(item => item.messages.length > 0);
+        }
+
+        // OpenAI-format messages: [{ role, content }] or { messages: [...] }
+        const messages = Array.isArray(data) ? data : data?.messages;
+        if (Array.isArray(messages) && messages.every(m => m && typeof m.role === 'string')) {
+            return [this.fromOpenAI(messages, data?.title)];
+        }
+
+        throw new Error('Unrecognized format (expected SAM-Web, ChatGPT or OpenAI messages JSON)');
+    },
+
+    /**
+     * SAM-Web export (see ConversationExport.buildExport)
+     */
+    fromSamWeb(data) {
+        return {
+            source: 'sam-web',
+            title: data.conversation?.title || 'Imported conversation',
+            created: data.conversation?.created || null,
+            messages: (data.messages || [])
+                .filter(m => m.role === 'user' || m.role === 'assistant')
+                .map(m => ({ role: m.role, content: m.content || '', timestamp: m.timestamp || null, usage: m.usage || null })),
+            settings: data.settings || {},
+            folder: data.folder || null
+        };
+    },
+
+    /**
+     * ChatGPT export: follow the current branch from current_node back to the root
+     */
+    fromChatGPT(data) {
+        const thread = [];
+        let nodeId = data.current_node || this.findLeaf(data.mapping);
+        const seen = new Set();
+
+        while (nodeId && data.mapping[nodeId] && !seen.has(nodeId)) {
+            seen.add(nodeId);
+            const node = data.mapping[nodeId];
+            const message = node.message;
+            const role = message?.author?.role;
+
+            if (message && (role === 'user' || role === 'assistant')) {
+                const content = this.extractText(message.content);
+                if (content.trim()) {
+                    thread.push({
+                        role,
+                        content,
+                        timestamp: this.toISODate(message.create_time)
+                    });
+                }
+            }
+            nodeId = node.parent;
+        }
+
+        thread.reverse();
+
+        return {
+            source: 'chatgpt',
+            title: data.title || 'ChatGPT conversation',
+            created: this.toISODate(data.create_time),
+            messages: thread,
+            settings: {},
+            folder: null
+        };
+    },
+
+    /**
+     * Fallback when current_node is missing: last node without children
+     */
+    findLeaf(mapping) {
+        const leaves = Object.entries(mapping).filter(([, node]) => !node.children || node.children.length === 0);
+        return leaves.length > 0 ? leaves[leaves.length - 1][0] : null;
+    },
+
+    /**
+     * Generic OpenAI chat messages
+     */
+    fromOpenAI(messages, title) {
+        const mapped = messages
+            .filter(m => m.role === 'user' || m.role === 'assistant')
+            .map(m => ({
+                role: m.role,
+                content: this.extractText(m.content),
+                timestamp: this.toISODate(m.timestamp || m.created_at || m.created)
+            }))
+            .filter(m => m.content.trim());
+
+        const firstUser = mapped.find(m => m.role === 'user');
+        return {
+            source: 'openai',
+            title: title || (firstUser ? firstUser.content.replace(/\s+/g, ' ').substring(0, 60) : 'Imported conversation'),
+            created: mapped[0]?.timestamp || null,
+            messages: mapped,
+            settings: {},
+            folder: null
+        };
+    },
+
+    /**
+     * Text from string / parts-array content (non-text parts are skipped)
+     */
+    extractText(content) {
+        if (typeof content === 'string') return content;
+        if (!content) return '';
+
+        // ChatGPT: { content_type, parts: [...] }, OpenAI: [{ type: 'text', text }]
+        const parts = Array.isArray(content) ? content : (content.parts || (content.text ? [content.text] : []));
+        return parts
+            .map(part => typeof part === 'string' ? part : (part?.type === 'text' ? part.text : ''))
+            .filter(Boolean)
+            .join('\n\n');
+    },
+
+    /**
+     * Unix seconds, milliseconds or date strings to ISO (null when unknown)
+     */
+    toISODate(value) {
+        if (value === null || value === undefined || value === '') return null;
+
+        const date = typeof value === 'number'
+            ? new Date(value < 1e12 ? value * 1000 : value)
+            : new Date(value);
+        return isNaN(date.getTime()) ? null : date.toISOString();
+    },
+
+    /**
+     * Render the preview / report list
+     */
+    renderPreview() {
+        const list = document.getElementById('importPreviewList');
+        const summary = document.getElementById('importSummary');
+        const startBtn = document.getElementById('importStartBtn');
+
+        const selected = this.items.filter(item => item.selected && item.status !== 'success');
+        startBtn.disabled = this.importing || selected.length === 0;
+        startBtn.textContent = this.importing
+            ? 'Importing...'
+            : `Import ${selected.length} conversation${selected.length !== 1 ? 's' : ''}`;
+
+        if (this.items.length === 0) {
+            list.innerHTML = '<div class="import-empty">No files selected</div>';
+            summary.textContent = '';
+            return;
+        }
+
+        const succeeded = this.items.filter(item => item.status === 'success').length;
+        const failed = this.items.filter(item => item.status === 'error').length;
+        summary.textContent = succeeded || failed
+            ? `${succeeded} imported, ${failed} failed`
+            : `${this.items.length} conversation${this.items.length !== 1 ? 's' : ''} found`;
+
+        list.innerHTML = '';
+        this.items.forEach(item => {
+            const row = document.createElement('label');
+            row.className = `import-item ${item.status}`;
+
+            const checkbox = document.createElement('input');
+            checkbox.type = 'checkbox';
+            checkbox.checked = item.selected;
+            checkbox.disabled = this.importing || item.status === 'success';
+            checkbox.addEventListener('change', () => {
+                item.selected = checkbox.checked;
+                this.renderPreview();
+            });
+
+            const icons = { pending: '', importing: '⏳', success: '✅', error: '❌' };
+            const details = [
+                `${item.messages.length} message${item.messages.length !== 1 ? 's' : ''}`,
+                this.sourceLabels[item.source],
+                item.folder ? `📁 ${(item.folder.path || [item.folder.name]).join(' / ')}` : null,
+                item.settings.model ? item.settings.model : null,
+                item.created ? new Date(item.created).toLocaleDateString() : null
+            ].filter(Boolean);
+
+            const info = document.createElement('div');
+            info.className = 'import-item-info';
+            info.innerHTML = `
+                <div class="import-item-title"></div>
+                <div class="import-item-meta"></div>
+                ${item.error ? '<div class="import-item-error"></div>' : ''}
+            `;
+            info.querySelector('.import-item-title').textContent = item.title;
+            info.querySelector('.import-item-meta').textContent = details.join(' · ');
+            if (item.error) {
+                info.querySelector('.import-item-error').textContent = item.error;
+            }
+
+            const status = document.createElement('span');
+            status.className = 'import-item-status';
+            status.textContent = icons[item.status];
+
+            row.appendChild(checkbox);
+            row.appendChild(info);
+            row.appendChild(status);
+            list.appendChild(row);
+        });
+    },
+
+    /**
+     * Create the selected conversations on the server, one at a time
+     */
+    async importSelected() {
+        const queue = this.items.filter(item => item.selected && item.status !== 'success');
+        if (queue.length === 0 || this.importing) return;
+
+        this.importing = true;
+        this.renderPreview();
+
+        for (const item of queue) {
+            item.status = 'importing';
+            item.error = null;
+            this.renderPreview();
+
+            try {
+                await this.importItem(item);
+                item.status = 'success';
+            } catch (error) {
+                console.error('[Import] Failed to import', item.title, error);
+                item.status = 'error';
+                item.error = error.message;
+            }
+            this.renderPreview();
+        }
+
+        this.importing = false;
+        this.renderPreview();
+
+        const succeeded = queue.filter(item => item.status === 'success').length;
+        if (succeeded === queue.length) {
+            Toast.success(`Imported ${succeeded} conversation${succeeded !== 1 ? 's' : ''}`);
+        } else {
+            Toast.warning(`Imported ${succeeded} of ${queue.length} conversations - see the report for details`);
+        }
+
+        await Conversations.loadConversations();
+    },
+
+    /**
+     * Create one conversation (and its folder when needed)
+     */
+    async importItem(item) {
+        if (item.messages.length === 0) {
+            throw new Error('Conversation has no messages');
+        }
+
+        const folderId = item.folder ? await this.resolveFolder(item.folder) : null;
+
+        const response = await API.createConversation({
+            title: item.title,
+            created: item.created,
+            folderId,
+            settings: this.toServerSettings(item.settings),
+            messages: item.messages.map(message => ({
+                content: message.content,
+                isFromUser: message.role === 'user',
+                timestamp: message.timestamp
+            }))
+        });
+
+        // Keep recorded token usage with the new conversation
+        const conversationId = response?.id || response?.conversation?.id;
+        if (conversationId) {
+            item.messages.forEach((message, index) => {
+                if (message.usage) {
+                    Usage.record(conversationId, index, message.usage, message.usage.model);
+                }
+            });
+        }
+    },
+
+    /**
+     * Find a folder by path (or name), creating it if it doesn't exist
+     */
+    async resolveFolder(folder) {
+        // Older exports only carry the name - match it anywhere in the tree
+        if (!Array.isArray(folder.path) || folder.path.length === 0) {
+            const existing = Folders.folders.find(f => f.name.toLowerCase() === folder.name.toLowerCase());
+            if (existing) return existing.id;
+
+            const created = await Folders.createFolder(folder.name, folder.color || null, folder.icon || null);
+            return created.id;
+        }
+
+        // Walk the path from the top level, creating missing folders
+        let parentId = null;
+        for (const [index, name] of folder.path.entries()) {
+            const isLast = index === folder.path.length - 1;
+            const existing = Folders.getChildren(parentId).find(f => f.name.toLowerCase() === name.toLowerCase());
+            if (existing) {
+                parentId = existing.id;
+                continue;
+            }
+
+            const created = await Folders.createFolder(
+                name,
+                isLast ? folder.color || null : null,
+                isLast ? folder.icon || null : null,
+                parentId
+            );
+            parentId = created.id;
+        }
+        return parentId;
+    },
+
+    /**
+     * Map exported settings back to the keys the server stores
+     */
+    toServerSettings(settings) {
+        const serverSettings = {
+            selectedModel: settings.model,
+            temperature: settings.temperature,
+            topP: settings.topP,
+            repetitionPenalty: settings.repetitionPenalty,
+            enableReasoning: settings.enableReasoning,
+            enableTools: settings.enableTools,
+            system_prompt_id: settings.systemPromptId,
+            mini_prompt_ids: settings.miniPromptIds,
+            personalityId: settings.personalityId
+        };
+
+        // Drop unset values so server defaults apply
+        Object.keys(serverSettings).forEach(key => {
+            const value = serverSettings[key];
+            if (value === undefined || value === null || (Array.isArray(value) && value.length === 0)) {
+                delete serverSettings[key];
+            }
+        });
+        return serverSettings;
+    }
+};
@@ -0,0 +1,125 @@
+// SPDX-License-Identifier: GPL-3.0-only
+// SPDX-FileCopyrightText: Copyright (c) 2026 Andrew Wyatt (Fewtarius)
+
+/**
+ * Live Updates for SAM-Web
+ * Picks up conversation changes made outside this browser (e.g. a conversation
+ * continued in the SAM desktop app). Subscribes to the server's change feed;
+ * when the feed is unavailable it polls the conversation list and compares
+ * `updated` timestamps, reconnecting to the feed with backoff.
+ */
+
+const LiveUpdates = {
+    // State
+    mode: null,             // 'feed' | 'polling'
+    feed: null,             // Handle of the open change feed
+    pollTimer: null,
+    pollInterval: 15000,
+    reconnectTimer: null,
+    reconnectDelay: 30000,
+    maxReconnectDelay: 300000,
+    refreshTimer: null,
+    changedIds: new Set(),
+
+    /**
+     * Connect to the change feed (polling until it is available)
+     */
+    init() {
+        // Hidden tabs don't poll; catch up as soon as the tab is shown again
+        document.addEventListener('visibilitychange', () => {
+            if (document.visibilityState === 'visible' && this.mode === 'polling') {
+                this.poll();
+            }
+        });
+
+        this.connect();
+    },
+
+    connect() {
+        clearTimeout(this.reconnectTimer);
+
+        this.feed = API.subscribeConversationEvents(
+            () => {
+                console.log('[LiveUpdates] Change feed connected');
+                this.mode = 'feed';
+                this.reconnectDelay = 30000;
+                this.stopPolling();
+
+                // Catch up on changes made while disconnected
+                this.poll();
+            },
+            (event) => this.onEvent(event),
+            (error) => this.onFeedClosed(error)
+        );
+    },
+
+    /**
+     * A conversation was created, updated or deleted on the server
+     */
+    onEvent(event) {
+        if (!event || !event.conversationId) return;  // keep-alive
+        this.queue([event.conversationId]);
+    },
+
+    /**
+     * Feed ended or isn't supported - poll, and try the feed again later
+     */
+    onFeedClosed(error) {
+        this.feed = null;
+        console.log('[LiveUpdates] Change feed unavailable, polling instead:', error ? error.message : 'closed');
+
+        this.startPolling();
+        this.reconnectTimer = setTimeout(() => this.connect(), this.reconnectDelay);
+        this.reconnectDelay = Math.min(this.reconnectDelay * 2, this.maxReconnectDelay);
+    },
+
+    startPolling() {
+        if (this.mode === 'polling') return;
+
+        this.mode = 'polling';
+        this.pollTimer = setInterval(() => {
+            if (document.visibilityState === 'visible') this.poll();
+        }, this.pollInterval);
+    },
+
+    stopPolling() {
+        clearInterval(this.pollTimer);
+        this.pollTimer = null;
+    },
+
+    /**
+     * Compare the server's list with the one shown, by `updated` timestamp
+     */
+    async poll() {
+        try {
+            const response = await API.getConversations();
+            const latest = response.conversations || [];
+            const shown = new Map(Conversations.conversations.map(c => [c.id, c.updated]));
+            const latestIds = new Set(latest.map(c => c.id));
+
+            const changed = latest.filter(c => shown.get(c.id) !== c.updated).map(c => c.id);
+            const removed = Array.from(shown.keys()).filter(id => !latestIds.has(id));
+            if (changed.length > 0 || removed.length > 0) {
+                this.queue([...changed, ...removed]);
+            }
+        } catch (error) {
+            console.error('[LiveUpdates] Failed to check for changes:', error);
+        }
+    },
+
+    /**
+     * Apply changes once a burst of events has settled
+     */
+    queue(conversationIds) {
+        conversationIds.forEach(id => this.changedIds.add(id));
+
+        clearTimeout(this.refreshTimer);
+        this.refreshTimer = setTimeout(() => {
+            const ids = Array.from(this.changedIds);
+            this.changedIds.clear();
+            Conversations.applyRemoteChanges(ids).catch(error => {
+                console.error('[LiveUpdates] Failed to apply changes:', error);
+            });
+        }, 500);
+    }
+};
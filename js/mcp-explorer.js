@@ -0,0 +1,439 @@
+// SPDX-License-Identifier: GPL-3.0-only
+// SPDX-FileCopyrightText: Copyright (c) 2026 Andrew Wyatt (Fewtarius)
+
+/**
+ * MCP Tool Explorer for SAM-Web
+ * Developer panel for SAM's MCP tools: browse tools and their JSON schemas,
+ * run a tool from a schema-generated form, and review raw request/response
+ * history. Uses the debug endpoints, so it is only available on localhost.
+ */
+
+const MCPExplorer = {
+    // State
+    tools: [],
+    selectedTool: null,
+    history: [],            // [{ id, tool, parameters, response, error, startedAt, duration }]
+    maxHistory: 50,
+    filter: '',
+
+    /**
+     * Initialize explorer (header button only shows where debug endpoints work)
+     */
+    init() {
+        const openBtn = document.getElementById('mcpToolsBtn');
+        if (!this.isAvailable()) {
+            if (openBtn) openBtn.style.display = 'none';
+            return;
+        }
+
+        // Execution history lives for the browser session
+        const saved = sessionStorage.getItem('sam-web-mcp-history');
+        if (saved) {
+            try {
+                this.history = JSON.parse(saved);
+            } catch (e) {
+                console.error('[MCPExplorer] Failed to parse history:', e);
+            }
+        }
+
+        this.setupUI();
+    },
+
+    /**
+     * Debug endpoints are localhost-only (matches API.getMCPTools)
+     */
+    isAvailable() {
+        return /^(localhost|127\.0\.0\.1)$/.test(window.location.hostname);
+    },
+
+    /**
+     * Set up modal listeners
+     */
+    setupUI() {
+        const openBtn = document.getElementById('mcpToolsBtn');
+        if (openBtn) {
+            openBtn.style.display = '';
+            openBtn.addEventListener('click', () => this.open());
+        }
+
+        const modal = document.getElementById('mcpExplorerModal');
+        if (!modal) return;
+
+        modal.querySelector('.modal-close').addEventListener('click', () => this.close());
+        modal.addEventListener('click', (e) => {
+            if (e.target === modal) this.close();
+        });
+
+        document.getElementById('mcpToolFilter').addEventListener('input', (e) => {
+            this.filter = e.target.value.toLowerCase();
+            this.renderToolList();
+        });
+
+        document.getElementById('mcpToolForm').addEventListener('submit', (e) => {
+            e.preventDefault();
+            this.executeSelectedTool();
+        });
+
+        document.getElementById('mcpClearHistoryBtn').addEventListener('click', () => {
+            this.history = [];
+            this.saveHistory();
+            this.renderHistory();
+        });
+    },
+
+    /**
+     * Open the explorer and load tools
+     */
+    async open() {
+        const modal = document.getElementById('mcpExplorerModal');
+        if (!modal) return;
+
+        modal.style.display = 'flex';
+        this.renderHistory();
+        await this.loadTools();
+    },
+
+    /**
+     * Close the explorer
+     */
+    close() {
+        const modal = document.getElementById('mcpExplorerModal');
+        if (modal) modal.style.display = 'none';
+    },
+
+    /**
+     * Load MCP tools from the debug endpoint
+     */
+    async loadTools() {
+        const list = document.getElementById('mcpToolList');
+        list.innerHTML = '<div class="mcp-empty">Loading tools...</div>';
+
+        try {
+            const response = await API.getMCPTools();
+            this.tools = (Array.isArray(response) ? response : (response.tools || []))
+                .sort((a, b) => (a.name || '').localeCompare(b.name || ''));
+            console.log('[MCPExplorer] Loaded tools:', this.tools.length);
+        } catch (error) {
+            console.error('[MCPExplorer] Failed to load tools:', error);
+            Toast.error('Failed to load MCP tools: ' + error.message);
+            this.tools = [];
+        }
+
+        this.renderToolList();
+
+        // Keep the selection across reloads of the list
+        if (this.selectedTool) {
+            const tool = this.tools.find(t => t.name === this.selectedTool.name);
+            if (tool) this.selectTool(tool);
+        }
+    },
+
+    /**
+     * Render the tool list (filtered)
+     */
+    renderToolList() {
+        const list = document.getElementById('mcpToolList');
+        const tools = this.tools.filter(tool => {
+            if (!this.filter) return true;
+            return `${tool.name} ${tool.description || ''}`.toLowerCase().includes(this.filter);
+        });
+
+        if (tools.length === 0) {
+            list.innerHTML = `<div class="mcp-empty">${this.filter ? 'No matching tools' : 'No tools available'}</div>`;
+            return;
+        }
+
+        list.innerHTML = '';
+        tools.forEach(tool => {
+            const item = document.createElement('button');
+            item.type = 'button';
+            item.className = 'mcp-tool-item';
+            if (this.selectedTool && this.selectedTool.name === tool.name) {
+                item.classList.add('active');
+            }
+            item.innerHTML = `
+                <span class="mcp-tool-name">${Markdown.escapeHtml(tool.name)}</span>
+                ${tool.description ? `<span class="mcp-tool-description">${Markdown.escapeHtml(tool.description)}</span>` : ''}
+            `;
+            item.addEventListener('click', () => this.selectTool(tool));
+            list.appendChild(item);
+        });
+    },
+
+    /**
+     * Select a tool: show its schema and build the parameter form
+     */
+    selectTool(tool) {
+        this.selectedTool = tool;
+        this.renderToolList();
+
+        const schema = this.getSchema(tool);
+
+        document.getElementById('mcpToolDetail').style.display = 'block';
+        document.getElementById('mcpToolTitle').textContent = tool.name;
+        document.getElementById('mcpToolDescription').textContent = tool.description || '';
+        document.getElementById('mcpToolSchema').textContent = JSON.stringify(schema, null, 2);
+
+        const fields = document.getElementById('mcpToolFields');
+        fields.innerHTML = '';
+
+        const properties = schema.properties || {};
+        const required = schema.required || [];
+        const names = Object.keys(properties);
+
+        if (names.length === 0) {
+            fields.innerHTML = '<div class="mcp-empty">This tool takes no parameters</div>';
+            return;
+        }
+
+        names.forEach(name => {
+            fields.appendChild(this.createField(name, properties[name], required.includes(name)));
+        });
+    },
+
+    /**
+     * Get the input schema from a tool definition (MCP and OpenAI shapes)
+     */
+    getSchema(tool) {
+        return tool.inputSchema || tool.input_schema || tool.parameters || tool.function?.parameters || { type: 'object', properties: {} };
+    },
+
+    /**
+     * Build a form field for one schema property
+     */
+    createField(name, property, required) {
+        const field = document.createElement('div');
+        field.className = 'setting-group mcp-field';
+        field.dataset.name = name;
+        field.dataset.type = Array.isArray(property.type) ? property.type[0] : (property.type || 'string');
+
+        const label = document.createElement('label');
+        label.className = 'setting-label';
+        label.textContent = name + (required ? ' *' : '');
+        field.appendChild(label);
+
+        let input;
+        const type = field.dataset.type;
+
+        if (Array.isArray(property.enum)) {
+            input = document.createElement('select');
+            input.className = 'form-select';
+            if (!required) {
+                input.appendChild(new Option('', ''));
+            }
+            property.enum.forEach(value => input.appendChild(new Option(String(value), JSON.stringify(value))));
+            field.dataset.type = 'enum';
+        } else if (type === 'boolean') {
+            input = document.createElement('input');
+            input.type = 'checkbox';
+            input.checked = property.default === true;
+        } else if (type === 'number' || type === 'integer') {
+            input = document.createElement('input');
+            input.type = 'number';
+            input.className = 'form-input';
+            if (type === 'integer') input.step = '1';
+            if (property.minimum !== undefined) input.min = property.minimum;
+            if (property.maximum !== undefined) input.max = property.maximum;
+        } else if (type === 'object' || type === 'array') {
+            input = document.createElement('textarea');
+            input.className = 'form-input mcp-json-input';
+            input.rows = 4;
+            input.placeholder = type === 'array' ? '[ ]' : '{ }';
+        } else {
+            input = document.createElement(property.format === 'multiline' || (property.description || '').length > 80 ? 'textarea' : 'input');
+            input.className = 'form-input';
+            if (input.tagName === 'TEXTAREA') input.rows = 3;
+        }
+
+        input.required = required && type !== 'boolean';
+        if (property.default !== undefined && type !== 'boolean') {
+            input.value = typeof property.default === 'object' ? JSON.stringify(property.default, null, 2) : property.default;
+        }
+        field.appendChild(input);
+
+        if (property.description) {
+            const hint = document.createElement('p');
+            hint.className = 'setting-hint';
+            hint.textContent = property.description;
+            field.appendChild(hint);
+        }
+
+        return field;
+    },
+
+    /**
+     * Collect parameters from the form, converting to schema types
+     * Throws on invalid JSON in object/array fields
+     */
+    collectParameters() {
+        const parameters = {};
+
+        document.querySelectorAll('#mcpToolFields .mcp-field').forEach(field => {
+            const name = field.dataset.name;
+            const input = field.querySelector('input, select, textarea');
+
+            switch (field.dataset.type) {
+                case 'boolean':
+                    parameters[name] = input.checked;
+                    break;
+                case 'enum':
+                    if (input.value !== '') parameters[name] = JSON.parse(input.value);
+                    break;
+                case 'number':
+                case 'integer':
+                    if (input.value !== '') parameters[name] = Number(input.value);
+                    break;
+                case 'object':
+                case 'array':
+                    if (input.value.trim() !== '') {
+                        try {
+                            parameters[name] = JSON.parse(input.value);
+                        } catch (e) {
+                            throw new Error(`"${name}" must be valid JSON`);
+                        }
+                    }
+                    break;
+                default:
+                    if (input.value !== '') parameters[name] = input.value;
+            }
+        });
+
+        return parameters;
+    },
+
+    /**
+     * Execute the selected tool with the form parameters
+     */
+    async executeSelectedTool() {
+        if (!this.selectedTool) return;
+
+        let parameters;
+        try {
+            parameters = this.collectParameters();
+        } catch (error) {
+            Toast.error(error.message);
+            return;
+        }
+
+        const runBtn = document.getElementById('mcpRunBtn');
+        runBtn.disabled = true;
+
+        const entry = {
+            id: crypto.randomUUID(),
+            tool: this.selectedTool.name,
+            parameters,
+            response: null,
+            error: null,
+            startedAt: new Date().toISOString(),
+            duration: null
+        };
+        const start = performance.now();
+
+        try {
+            entry.response = await API.executeMCPTool(entry.tool, parameters);
+        } catch (error) {
+            console.error('[MCPExplorer] Tool execution failed:', error);
+            entry.error = error.message;
+        }
+
+        entry.duration = Math.round(performance.now() - start);
+        runBtn.disabled = false;
+
+        this.history.unshift(entry);
+        this.history = this.history.slice(0, this.maxHistory);
+        this.saveHistory();
+        this.renderHistory(entry.id);
+
+        if (entry.error) {
+            Toast.error(`${entry.tool} failed: ${entry.error}`);
+        } else {
+            Toast.success(`${entry.tool} executed in ${entry.duration}ms`);
+        }
+    },
+
+    /**
+     * Render execution history (newest first)
+     */
+    renderHistory(expandId = null) {
+        const container = document.getElementById('mcpHistoryList');
+        if (!container) return;
+
+        if (this.history.length === 0) {
+            container.innerHTML = '<div class="mcp-empty">No executions yet</div>';
+            return;
+        }
+
+        container.innerHTML = '';
+        this.history.forEach(entry => {
+            const item = document.createElement('details');
+            item.className = `mcp-history-item ${entry.error ? 'error' : 'success'}`;
+            item.open = entry.id === expandId;
+
+            const request = { tool_name: entry.tool, parameters: entry.parameters };
+            const response = entry.error ? { error: entry.error } : entry.response;
+
+            item.innerHTML = `
+                <summary>
+                    <span class="mcp-history-status">${entry.error ? '❌' : '✅'}</span>
+                    <span class="mcp-history-tool">${Markdown.escapeHtml(entry.tool)}</span>
+                    <span class="mcp-history-meta">${new Date(entry.startedAt).toLocaleTimeString()} · ${entry.duration}ms</span>
+                </summary>
+                <div class="mcp-history-body">
+                    <div class="mcp-history-label">Request</div>
+                    <pre class="mcp-raw"></pre>
+                    <div class="mcp-history-label">Response</div>
+                    <pre class="mcp-raw"></pre>
+                    <button type="button" class="btn btn-ghost btn-sm mcp-rerun">Load into form</button>
+                </div>
+            `;
+
+            const raws = item.querySelectorAll('.mcp-raw');
+            raws[0].textContent = JSON.stringify(request, null, 2);
+            raws[1].textContent = typeof response === 'string' ? response : JSON.stringify(response, null, 2);
+
+            item.querySelector('.mcp-rerun').addEventListener('click', () => this.loadIntoForm(entry));
+            container.appendChild(item);
+        });
+    },
+
+    /**
+     * Load a past execution back into the form
+     */
+    loadIntoForm(entry) {
+        const tool = this.tools.find(t => t.name === entry.tool);
+        if (!tool) {
+            Toast.warning(`Tool "${entry.tool}" is not available`);
+            return;
+        }
+
+        this.selectTool(tool);
+
+        document.querySelectorAll('#mcpToolFields .mcp-field').forEach(field => {
+            const value = entry.parameters[field.dataset.name];
+            if (value === undefined) return;
+
+            const input = field.querySelector('input, select, textarea');
+            if (field.dataset.type === 'boolean') {
+                input.checked = !!value;
+            } else if (field.dataset.type === 'enum') {
+                input.value = JSON.stringify(value);
+            } else if (typeof value === 'object') {
+                input.value = JSON.stringify(value, null, 2);
+            } else {
+                input.value = value;
+            }
+        });
+    },
+
+    /**
+     * Persist history for the browser session
+     */
+    saveHistory() {
+        try {
+            sessionStorage.setItem('sam-web-mcp-history', JSON.stringify(this.history));
+        } catch (e) {
+            // Large responses can exceed the storage quota - keep in memory only
+            console.warn('[MCPExplorer] Failed to save history:', e);
+        }
+    }
+};
@@ -0,0 +1,301 @@
+// SPDX-License-Identifier: GPL-3.0-only
+// SPDX-FileCopyrightText: Copyright (c) 2026 Andrew Wyatt (Fewtarius)
+
+/**
+ * Message Metadata for SAM-Web
+ * Shows when each message was sent and, for responses, the model, system
+ * prompt, personality and sampling parameters in effect, plus latency and
+ * token counts, with the full details in a popover.
+ *
+ * Messages carry their metadata as `message.meta`. The server only keeps the
+ * timestamp, so the rest is stored client-side, keyed by conversation ID and
+ * position on the active branch (like Usage), and restored when a conversation
+ * is reloaded. Other client-only parts of a message (the streamed reasoning,
+ * tool calls, whether the user stopped it and the workflow a goal launched)
+ * are stored with it.
+ *
+ * Meta: { timestamp, model, systemPrompt, personality, temperature, topP, firstTokenMs, totalMs }
+ * Entry: { role, meta, reasoning, reasoningDuration, interrupted, workflowId, toolCalls }
+ */
+
+const MessageMeta = {
+    // conversationId -> { [messageIndex]: entry }
+    records: {},
+    maxConversations: 500,
+    popover: null,
+
+    // Message fields stored alongside the metadata
+    fields: ['reasoning', 'reasoningDuration', 'interrupted', 'workflowId'],
+
+    /**
+     * Load stored metadata
+     */
+    init() {
+        try {
+            this.records = JSON.parse(localStorage.getItem('sam-web-message-meta') || '{}');
+        } catch (e) {
+            console.error('[MessageMeta] Failed to parse message metadata:', e);
+            this.records = {};
+        }
+
+        // Entries used to be the bare metadata
+        Object.values(this.records).forEach(record => {
+            Object.entries(record).forEach(([index, entry]) => {
+                if (!('meta' in entry) && !('role' in entry)) record[index] = { meta: entry };
+            });
+        });
+    },
+
+    /**
+     * Settings in effect for a request (kept with its response)
+     */
+    capture(model) {
+        const systemPrompt = Prompts.systemPrompts.find(p => p.id === Prompts.selectedSystemPrompt);
+        const personality = Personalities.getPersonality(Personalities.selectedPersonality);
+
+        return {
+            model,
+            systemPrompt: systemPrompt ? (systemPrompt.name || systemPrompt.id) : null,
+            personality: personality ? personality.name : null,
+            temperature: Parameters.temperature,
+            topP: Parameters.topP
+        };
+    },
+
+    /**
+     * Store the metadata (reasoning, tool calls) of the messages on the active branch
+     * so it survives a reload (after every change to the branch, so positions stay in line)
+     */
+    recordPath(conversationId, messages) {
+        if (!conversationId) return;
+
+        const record = {};
+        messages.forEach((message, index) => {
+            const entry = { role: message.role };
+            if (message.meta) entry.meta = message.meta;
+            this.fields.forEach(field => {
+                if (message[field] !== undefined) entry[field] = message[field];
+            });
+            if (message.toolCalls) entry.toolCalls = ToolCards.forStorage(message.toolCalls);
+            if (Object.keys(entry).length > 1) record[index] = entry;
+        });
+
+        // Re-insert so the most recently used conversations are kept when trimming
+        delete this.records[conversationId];
+        this.records[conversationId] = record;
+        this.save();
+    },
+
+    /**
+     * Merge stored entries into loaded messages (what a message already
+     * carries, e.g. the server's timestamp or reasoning, wins)
+     */
+    restorePath(conversationId, messages) {
+        messages.forEach((message, index) => {
+            const entry = this.get(conversationId, index);
+            if (!entry || (entry.role && entry.role !== message.role)) return;
+
+            if (entry.meta) message.meta = { ...entry.meta, ...message.meta };
+            this.fields.forEach(field => {
+                if (message[field] === undefined && entry[field] !== undefined) message[field] = entry[field];
+            });
+            if (!message.toolCalls && entry.toolCalls) message.toolCalls = entry.toolCalls;
+        });
+    },
+
+    /**
+     * Stored entry for a message (null when none was recorded)
+     */
+    get(conversationId, messageIndex) {
+        return this.records[conversationId]?.[messageIndex] || null;
+    },
+
+    /**
+     * Forget metadata for a deleted conversation
+     */
+    remove(conversationId) {
+        if (this.records[conversationId]) {
+            delete this.records[conversationId];
+            this.save();
+        }
+    },
+
+    /**
+     * Persist records (oldest conversations dropped past the cap, or while
+     * storage is full - reasoning can be long)
+     */
+    save() {
+        const ids = Object.keys(this.records);
+        if (ids.length > this.maxConversations) {
+            ids.slice(0, ids.length - this.maxConversations).forEach(id => delete this.records[id]);
+        }
+
+        while (true) {
+            try {
+                localStorage.setItem('sam-web-message-meta', JSON.stringify(this.records));
+                return;
+            } catch (error) {
+                const remaining = Object.keys(this.records);
+                if (remaining.length <= 1) {
+                    console.error('[MessageMeta] Failed to save message metadata:', error);
+                    return;
+                }
+                delete this.records[remaining[0]];
+            }
+        }
+    },
+
+    /**
+     * Time (and model for responses) in a message header, with a details button
+     */
+    renderHeader(messageEl, message) {
+        const meta = message.meta;
+        const header = messageEl.querySelector('.message-header');
+        if (!meta || !header) return;
+
+        header.querySelector('.message-meta')?.remove();
+
+        const info = document.createElement('span');
+        info.className = 'message-meta';
+
+        const parts = [];
+        if (meta.timestamp) {
+            parts.push(this.formatTime(meta.timestamp));
+        }
+        if (message.role === 'assistant' && meta.model) {
+            parts.push(meta.model);
+        }
+        info.innerHTML = `<span class="message-meta-text"></span><button type="button" class="message-meta-btn" title="Message details">ⓘ</button>`;
+        info.querySelector('.message-meta-text').textContent = parts.join(' · ');
+        info.querySelector('.message-meta-btn').addEventListener('click', (e) => {
+            e.stopPropagation();
+            this.showDetails(e.currentTarget, message);
+        });
+
+        // Before the token badge, which is added once usage is known
+        const usageBadge = header.querySelector('.message-usage');
+        header.insertBefore(info, usageBadge);
+    },
+
+    /**
+     * Label/value rows for the details popover
+     */
+    describe(message) {
+        const meta = message.meta || {};
+        const rows = [];
+
+        if (meta.timestamp) {
+            rows.push([message.role === 'user' ? 'Sent' : 'Received', new Date(meta.timestamp).toLocaleString()]);
+        }
+        if (message.role !== 'assistant') return rows;
+
+        if (meta.model) rows.push(['Model', meta.model]);
+        if (meta.systemPrompt) rows.push(['System prompt', meta.systemPrompt]);
+        if (meta.personality) rows.push(['Personality', meta.personality]);
+        if (typeof meta.temperature === 'number') rows.push(['Temperature', meta.temperature.toFixed(1)]);
+        if (typeof meta.topP === 'number') rows.push(['Top P', meta.topP.toFixed(2)]);
+        if (typeof meta.firstTokenMs === 'number') rows.push(['First token', this.formatDuration(meta.firstTokenMs)]);
+        if (typeof meta.totalMs === 'number') rows.push(['Total time', this.formatDuration(meta.totalMs)]);
+
+        const usage = message.usage;
+        if (usage) {
+            rows.push(['Tokens', `${usage.promptTokens.toLocaleString()} prompt · ${usage.completionTokens.toLocaleString()} completion`]);
+            const cost = Usage.getCost(usage, usage.model);
+            rows.push(['Cost', cost === null ? 'No price set for this model' : Usage.formatCost(cost)]);
+        }
+        if (message.interrupted) {
+            rows.push(['Status', 'Interrupted']);
+        }
+
+        return rows;
+    },
+
+    /**
+     * Details popover below the ⓘ button
+     */
+    showDetails(anchor, message) {
+        const wasOpen = this.popover && this.popover.anchor === anchor;
+        this.hideDetails();
+        if (wasOpen) return;
+
+        const popover = document.createElement('div');
+        popover.className = 'message-meta-popover';
+
+        const rows = this.describe(message);
+        if (rows.length === 0) {
+            popover.innerHTML = '<div class="message-meta-empty">No details recorded for this message</div>';
+        }
+        rows.forEach(([label, value]) => {
+            const row = document.createElement('div');
+            row.className = 'message-meta-row';
+            row.innerHTML = '<span class="message-meta-label"></span><span class="message-meta-value"></span>';
+            row.querySelector('.message-meta-label').textContent = label;
+            row.querySelector('.message-meta-value').textContent = value;
+            popover.appendChild(row);
+        });
+
+        document.body.appendChild(popover);
+
+        // Keep inside the viewport
+        const rect = anchor.getBoundingClientRect();
+        const left = Math.min(rect.left, window.innerWidth - popover.offsetWidth - 8);
+        const top = rect.bottom + 4 + popover.offsetHeight > window.innerHeight
+            ? rect.top - popover.offsetHeight - 4
+            : rect.bottom + 4;
+        popover.style.left = `${Math.max(8, left)}px`;
+        popover.style.top = `${Math.max(8, top)}px`;
+
+        popover.anchor = anchor;
+        this.popover = popover;
+        setTimeout(() => {
+            document.addEventListener('click', this.handleOutside);
+            // Capture phase, so Esc closes the popover without also stopping a response
+            document.addEventListener('keydown', this.handleKey, true);
+            document.addEventListener('scroll', this.handleScroll, true);
+        }, 0);
+    },
+
+    hideDetails() {
+        if (this.popover) {
+            this.popover.remove();
+            this.popover = null;
+        }
+        document.removeEventListener('click', this.handleOutside);
+        document.removeEventListener('keydown', this.handleKey, true);
+        document.removeEventListener('scroll', this.handleScroll, true);
+    },
+
+    handleOutside: (e) => {
+        if (MessageMeta.popover && !MessageMeta.popover.contains(e.target)) {
+            MessageMeta.hideDetails();
+        }
+    },
+
+    handleKey: (e) => {
+        if (e.key === 'Escape') {
+            e.stopImmediatePropagation();
+            MessageMeta.hideDetails();
+        }
+    },
+
+    handleScroll: () => MessageMeta.hideDetails(),
+
+    /**
+     * Time for today's messages, date and time for older ones
+     */
+    formatTime(timestamp) {
+        const date = new Date(timestamp);
+        if (isNaN(date)) return '';
+
+        const time = date.toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' });
+        if (date.toDateString() === new Date().toDateString()) return time;
+        return `${date.toLocaleDateString([], { month: 'short', day: 'numeric' })} ${time}`;
+    },
+
+    /**
+     * 850 -> "850 ms", 4200 -> "4.2 s"
+     */
+    formatDuration(ms) {
+        return ms < 1000 ? `${Math.round(ms)} ms` : `${(ms / 1000).toFixed(1)} s`;
+    }
+};
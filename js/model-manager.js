@@ -0,0 +1,466 @@
+// SPDX-License-Identifier: GPL-3.0-only
+// SPDX-FileCopyrightText: Copyright (c) 2026 Andrew Wyatt (Fewtarius)
+
+/**
+ * Model Manager for SAM-Web
+ * Lists installed local models (GGUF/MLX), starts downloads and tracks
+ * their progress. Active downloads are kept in localStorage so polling
+ * resumes after a page reload.
+ */
+
+const ModelManager = {
+    // State
+    installedModels: [],
+    downloads: {},          // downloadId -> { id, label, status, progress, bytes, total, speed, eta, sample, failures, retryAt }
+    pollTimer: null,
+    pollInterval: 1000,
+    maxPollInterval: 30000,
+    maxPollFailures: 8,     // Then the download is marked failed (about 2 minutes with backoff)
+    filter: '',
+
+    /**
+     * Initialize model manager
+     * Restores active downloads and resumes polling
+     */
+    init() {
+        const saved = localStorage.getItem('sam-web-active-downloads');
+        if (saved) {
+            try {
+                JSON.parse(saved).forEach(({ id, label }) => {
+                    this.downloads[id] = this.createDownload(id, label);
+                });
+                console.log('[ModelManager] Resuming downloads:', Object.keys(this.downloads));
+            } catch (e) {
+                console.error('[ModelManager] Failed to parse active downloads:', e);
+            }
+        }
+
+        this.setupUI();
+        this.updateBadge();
+
+        if (Object.keys(this.downloads).length > 0) {
+            this.startPolling();
+        }
+    },
+
+    /**
+     * Set up modal and header button listeners
+     */
+    setupUI() {
+        const openBtn = document.getElementById('modelsBtn');
+        if (openBtn) {
+            openBtn.addEventListener('click', () => this.open());
+        }
+
+        const modal = document.getElementById('modelManagerModal');
+        if (modal) {
+            modal.querySelector('.modal-close').addEventListener('click', () => this.close());
+            modal.addEventListener('click', (e) => {
+                if (e.target === modal) this.close();
+            });
+        }
+
+        const filterInput = document.getElementById('installedModelsFilter');
+        if (filterInput) {
+            filterInput.addEventListener('input', (e) => {
+                this.filter = e.target.value.toLowerCase();
+                this.renderInstalledModels();
+            });
+        }
+
+        const downloadForm = document.getElementById('modelDownloadForm');
+        if (downloadForm) {
+            downloadForm.addEventListener('submit', (e) => {
+                e.preventDefault();
+                this.startDownloadFromForm();
+            });
+        }
+    },
+
+    /**
+     * Open the Models panel
+     */
+    async open() {
+        const modal = document.getElementById('modelManagerModal');
+        if (!modal) return;
+
+        modal.style.display = 'flex';
+        this.renderDownloads();
+        await this.loadInstalledModels();
+    },
+
+    /**
+     * Close the Models panel (downloads keep polling in the background)
+     */
+    close() {
+        const modal = document.getElementById('modelManagerModal');
+        if (modal) modal.style.display = 'none';
+    },
+
+    /**
+     * Load installed local models from API
+     */
+    async loadInstalledModels() {
+        const container = document.getElementById('installedModelsList');
+        if (container) {
+            container.innerHTML = '<div class="model-manager-empty">Loading installed models...</div>';
+        }
+
+        try {
+            const response = await API.getInstalledModels();
+            this.installedModels = Array.isArray(response) ? response : (response.models || response.data || []);
+            console.log('[ModelManager] Loaded installed models:', this.installedModels.length);
+        } catch (error) {
+            console.error('[ModelManager] Failed to load installed models:', error);
+            Toast.error('Failed to load installed models');
+            this.installedModels = [];
+        }
+
+        this.renderInstalledModels();
+    },
+
+    /**
+     * Render installed models list (filtered)
+     */
+    renderInstalledModels() {
+        const container = document.getElementById('installedModelsList');
+        if (!container) return;
+
+        const models = this.installedModels.filter(model => {
+            if (!this.filter) return true;
+            const haystack = [model.id, model.name, model.provider, model.type].filter(Boolean).join(' ').toLowerCase();
+            return haystack.includes(this.filter);
+        });
+
+        if (models.length === 0) {
+            container.innerHTML = `<div class="model-manager-empty">${this.filter ? 'No matching models' : 'No local models installed'}</div>`;
+            return;
+        }
+
+        container.innerHTML = '';
+        models.forEach(model => {
+            const item = document.createElement('div');
+            item.className = 'model-item';
+
+            const type = model.provider || model.type || model.format || '';
+            const size = model.size || model.sizeBytes;
+
+            item.innerHTML = `
+                <div class="model-item-main">
+                    <div class="model-item-name">${Markdown.escapeHtml(model.name || model.id)}</div>
+                    <div class="model-item-meta">
+                        ${type ? `<span class="badge badge-primary">${Markdown.escapeHtml(type)}</span>` : ''}
+                        ${size ? `<span>${this.formatBytes(size)}</span>` : ''}
+                        ${model.id && model.name ? `<span class="model-item-id">${Markdown.escapeHtml(model.id)}</span>` : ''}
+                    </div>
+                </div>
+            `;
+            container.appendChild(item);
+        });
+    },
+
+    /**
+     * Read the download form and start a download
+     */
+    async startDownloadFromForm() {
+        const repoInput = document.getElementById('modelDownloadRepo');
+        const fileInput = document.getElementById('modelDownloadFile');
+        const repoId = repoInput.value.trim();
+        const filename = fileInput.value.trim();
+
+        if (!repoId) {
+            Toast.error('Enter a model repository (e.g. org/model-GGUF)');
+            return;
+        }
+
+        const modelSpec = { repo_id: repoId };
+        if (filename) {
+            modelSpec.filename = filename;
+        }
+
+        try {
+            await this.startDownload(modelSpec, filename ? `${repoId}/${filename}` : repoId);
+            repoInput.value = '';
+            fileInput.value = '';
+        } catch (error) {
+            // Already reported
+        }
+    },
+
+    /**
+     * Start downloading a model and begin polling its status
+     */
+    async startDownload(modelSpec, label) {
+        try {
+            const response = await API.downloadModel(modelSpec);
+            const downloadId = response.downloadId || response.download_id || response.id;
+            if (!downloadId) {
+                throw new Error('Server did not return a download ID');
+            }
+
+            this.downloads[downloadId] = this.createDownload(downloadId, label);
+            this.saveActiveDownloads();
+            this.renderDownloads();
+            this.updateBadge();
+            this.startPolling();
+
+            Toast.info(`Downloading ${label}`);
+            return downloadId;
+        } catch (error) {
+            console.error('[ModelManager] Failed to start download:', error);
+            Toast.error('Failed to start download: ' + error.message);
+            throw error;
+        }
+    },
+
+    /**
+     * Cancel an active download
+     */
+    async cancelDownload(downloadId) {
+        try {
+            await API.cancelDownload(downloadId);
+            this.finishDownload(downloadId, 'cancelled');
+            Toast.show('Download cancelled', 'info');
+        } catch (error) {
+            console.error('[ModelManager] Failed to cancel download:', error);
+            Toast.error('Failed to cancel download: ' + error.message);
+        }
+    },
+
+    /**
+     * Create local download record
+     */
+    createDownload(id, label) {
+        return {
+            id,
+            label: label || id,
+            status: 'pending',
+            progress: null,
+            bytes: null,
+            total: null,
+            speed: null,
+            eta: null,
+            sample: null,   // last { bytes, time } used to derive speed
+            failures: 0,    // Consecutive failed status checks
+            retryAt: 0      // No status check before this time (backing off after failures)
+        };
+    },
+
+    /**
+     * Start the shared poll loop (no-op if already running)
+     */
+    startPolling() {
+        if (this.pollTimer) return;
+
+        const poll = async () => {
+            await this.pollDownloads();
+
+            if (Object.keys(this.downloads).length > 0) {
+                this.pollTimer = setTimeout(poll, this.pollInterval);
+            } else {
+                this.pollTimer = null;
+            }
+        };
+
+        this.pollTimer = setTimeout(poll, 0);
+    },
+
+    /**
+     * Poll status of all active downloads (each backs off on its own after failures)
+     */
+    async pollDownloads() {
+        const now = Date.now();
+        const ids = Object.keys(this.downloads).filter(id => this.downloads[id].retryAt <= now);
+
+        await Promise.all(ids.map(async (downloadId) => {
+            try {
+                const status = await API.getDownloadStatus(downloadId);
+                if (this.downloads[downloadId]) {
+                    this.downloads[downloadId].failures = 0;
+                    this.downloads[downloadId].retryAt = 0;
+                }
+                this.applyStatus(downloadId, status);
+            } catch (error) {
+                console.error('[ModelManager] Failed to get download status:', downloadId, error);
+                // Unknown to the server (e.g. SAM restarted) - stop tracking it
+                if (error.message.includes('404') || error.message.toLowerCase().includes('not found')) {
+                    this.finishDownload(downloadId, 'failed', 'Download no longer exists');
+                    return;
+                }
+
+                const download = this.downloads[downloadId];
+                if (!download) return;
+                download.failures++;
+                if (download.failures >= this.maxPollFailures) {
+                    this.finishDownload(downloadId, 'failed', `Lost contact with the download: ${error.message}`);
+                } else {
+                    download.retryAt = Date.now() + Math.min(this.pollInterval * 2 ** download.failures, this.maxPollInterval);
+                }
+            }
+        }));
+
+        this.renderDownloads();
+    },
+
+    /**
+     * Apply a status response to a download record
+     */
+    applyStatus(downloadId, status) {
+        const download = this.downloads[downloadId];
+        if (!download) return;
+
+        const bytes = status.bytesDownloaded ?? status.downloaded_bytes ?? status.downloadedBytes ?? null;
+        const total = status.totalBytes ?? status.total_bytes ?? null;
+        let progress = status.progress ?? null;
+
+        // Accept 0-1 or 0-100 progress, fall back to byte counts
+        if (progress !== null && progress > 1) progress = progress / 100;
+        if (progress === null && bytes !== null && total) progress = bytes / total;
+
+        // Derive speed from successive samples when the server doesn't report it
+        const now = Date.now();
+        let speed = status.speed ?? status.bytesPerSecond ?? null;
+        if (speed === null && bytes !== null && download.sample) {
+            const elapsed = (now - download.sample.time) / 1000;
+            if (elapsed > 0) {
+                const instant = (bytes - download.sample.bytes) / elapsed;
+                // Smooth to avoid a jumpy readout
+                speed = download.speed !== null ? download.speed * 0.7 + instant * 0.3 : instant;
+            }
+        }
+        if (bytes !== null) {
+            download.sample = { bytes, time: now };
+        }
+
+        download.status = status.status || 'downloading';
+        download.progress = progress;
+        download.bytes = bytes;
+        download.total = total;
+        download.speed = speed;
+        download.eta = status.eta ?? (speed > 0 && total && bytes !== null ? (total - bytes) / speed : null);
+
+        if (['completed', 'complete', 'finished'].includes(download.status)) {
+            this.finishDownload(downloadId, 'completed');
+        } else if (['failed', 'error', 'cancelled', 'canceled'].includes(download.status)) {
+            this.finishDownload(downloadId, download.status, status.error || status.message);
+        }
+    },
+
+    /**
+     * Stop tracking a download and report the outcome
+     */
+    finishDownload(downloadId, outcome, message = null) {
+        const download = this.downloads[downloadId];
+        if (!download) return;
+
+        delete this.downloads[downloadId];
+        this.saveActiveDownloads();
+        this.updateBadge();
+        this.renderDownloads();
+
+        if (outcome === 'completed') {
+            Toast.success(`Model downloaded: ${download.label}`);
+
+            // Refresh installed list and the model selector
+            if (this.isOpen()) {
+                this.loadInstalledModels();
+            }
+            if (window.onModelDownloaded) {
+                window.onModelDownloaded(download);
+            }
+        } else if (outcome !== 'cancelled' && outcome !== 'canceled') {
+            Toast.error(`Download failed: ${download.label}${message ? ' - ' + message : ''}`);
+        }
+    },
+
+    /**
+     * Persist active download IDs so polling survives reloads
+     */
+    saveActiveDownloads() {
+        const active = Object.values(this.downloads).map(d => ({ id: d.id, label: d.label }));
+        localStorage.setItem('sam-web-active-downloads', JSON.stringify(active));
+    },
+
+    /**
+     * Render active downloads with progress bars
+     */
+    renderDownloads() {
+        const container = document.getElementById('activeDownloadsList');
+        if (!container) return;
+
+        const downloads = Object.values(this.downloads);
+        if (downloads.length === 0) {
+            container.innerHTML = '<div class="model-manager-empty">No active downloads</div>';
+            return;
+        }
+
+        container.innerHTML = '';
+        downloads.forEach(download => {
+            const item = document.createElement('div');
+            item.className = 'download-item';
+
+            const percent = download.progress !== null ? Math.round(download.progress * 100) : null;
+            const stats = [];
+            if (download.bytes !== null) {
+                stats.push(download.total ? `${this.formatBytes(download.bytes)} / ${this.formatBytes(download.total)}` : this.formatBytes(download.bytes));
+            }
+            if (download.speed) stats.push(`${this.formatBytes(download.speed)}/s`);
+            if (download.eta !== null && download.eta !== undefined) stats.push(`ETA ${this.formatETA(download.eta)}`);
+
+            item.innerHTML = `
+                <div class="download-item-header">
+                    <span class="download-item-name">${Markdown.escapeHtml(download.label)}</span>
+                    <span class="download-item-percent">${percent !== null ? percent + '%' : download.status}</span>
+                    <button class="btn btn-ghost btn-sm download-cancel" title="Cancel download">✕</button>
+                </div>
+                <div class="progress">
+                    <div class="progress-bar ${percent === null ? 'indeterminate' : ''}" style="width: ${percent || 0}%"></div>
+                </div>
+                <div class="download-item-stats">${stats.join(' · ')}</div>
+            `;
+
+            item.querySelector('.download-cancel').addEventListener('click', () => this.cancelDownload(download.id));
+            container.appendChild(item);
+        });
+    },
+
+    /**
+     * Show active download count on the header button
+     */
+    updateBadge() {
+        const badge = document.getElementById('modelsBtnBadge');
+        if (!badge) return;
+
+        const count = Object.keys(this.downloads).length;
+        badge.textContent = count;
+        badge.style.display = count > 0 ? 'inline-flex' : 'none';
+    },
+
+    /**
+     * Check if the panel is visible
+     */
+    isOpen() {
+        const modal = document.getElementById('modelManagerModal');
+        return !!modal && modal.style.display !== 'none';
+    },
+
+    /**
+     * Format byte counts
+     */
+    formatBytes(bytes) {
+        if (!bytes) return '0 B';
+        const units = ['B', 'KB', 'MB', 'GB', 'TB'];
+        const i = Math.min(Math.floor(Math.log(bytes) / Math.log(1024)), units.length - 1);
+        return `${(bytes / Math.pow(1024, i)).toFixed(i === 0 ? 0 : 1)} ${units[i]}`;
+    },
+
+    /**
+     * Format remaining seconds
+     */
+    formatETA(seconds) {
+        seconds = Math.round(seconds);
+        if (seconds < 60) return `${seconds}s`;
+        if (seconds < 3600) return `${Math.floor(seconds / 60)}m ${seconds % 60}s`;
+        return `${Math.floor(seconds / 3600)}h ${Math.floor((seconds % 3600) / 60)}m`;
+    }
+};
@@ -0,0 +1,148 @@
+// SPDX-License-Identifier: GPL-3.0-only
+// SPDX-FileCopyrightText: Copyright (c) 2026 Andrew Wyatt (Fewtarius)
+
+/**
+ * Reasoning Panel for SAM-Web
+ * Separates reasoning tokens from the answer and shows them in a
+ * collapsible "Thinking" section with its own elapsed-time counter
+ *
+ * Reasoning arrives either as delta.reasoning_content / delta.reasoning,
+ * or inline in delta.content wrapped in <think>...</think>. It is kept with
+ * the message (stored client-side by MessageMeta) and shown again on reload
+ */
+
+const Reasoning = {
+    /**
+     * Split <think> blocks out of content
+     * An unclosed trailing <think> (still streaming) counts as reasoning
+     * Returns { reasoning, content }
+     */
+    split(text) {
+        if (!text || !text.includes('<think>')) {
+            return { reasoning: '', content: text || '' };
+        }
+
+        const reasoningParts = [];
+        let content = text.replace(/<think>([\s\S]*?)(<\/think>|$)/g, (match, inner) => {
+            reasoningParts.push(inner.trim());
+            return '';
+        });
+
+        return {
+            reasoning: reasoningParts.filter(Boolean).join('\n\n'),
+            content: content.replace(/^\s+/, '')
+        };
+    },
+
+    /**
+     * Create tracking state for one streamed response
+     */
+    createTracker(messageEl) {
+        return {
+            messageEl,
+            panel: null,
+            text: '',
+            startedAt: null,
+            finishedAt: null,
+            timer: null
+        };
+    },
+
+    /**
+     * Update the live panel with the reasoning text so far
+     * answerStarted stops the clock once the model moves on to the answer
+     */
+    update(tracker, text, answerStarted = false) {
+        if (!text) return;
+
+        if (!tracker.panel) {
+            tracker.startedAt = Date.now();
+            tracker.panel = this.createPanel(tracker.messageEl, true);
+            tracker.timer = setInterval(() => this.updateLabel(tracker), 100);
+        }
+
+        if (text !== tracker.text) {
+            tracker.text = text;
+            const body = tracker.panel.querySelector('.message-reasoning-content');
+            body.textContent = text;
+            body.scrollTop = body.scrollHeight;
+        }
+
+        if (answerStarted) {
+            this.finish(tracker);
+        }
+    },
+
+    /**
+     * Stop the clock and collapse the panel
+     */
+    finish(tracker) {
+        if (!tracker.panel || tracker.finishedAt) return;
+
+        tracker.finishedAt = Date.now();
+        clearInterval(tracker.timer);
+        tracker.timer = null;
+
+        tracker.panel.open = false;
+        tracker.panel.classList.remove('live');
+        this.updateLabel(tracker);
+    },
+
+    /**
+     * Elapsed reasoning time in ms (null when there was no reasoning)
+     */
+    getDuration(tracker) {
+        if (!tracker.startedAt) return null;
+        return (tracker.finishedAt || Date.now()) - tracker.startedAt;
+    },
+
+    /**
+     * Render stored reasoning into a message
+     */
+    renderStored(messageEl, text, duration = null) {
+        if (!text) return;
+
+        const panel = this.createPanel(messageEl, false);
+        panel.querySelector('.message-reasoning-content').textContent = text;
+        panel.querySelector('.message-reasoning-label').textContent = duration !== null
+            ? `Thought for ${this.formatDuration(duration)}`
+            : 'Thinking';
+    },
+
+    /**
+     * Build the collapsible panel right below the message header
+     */
+    createPanel(messageEl, live) {
+        const panel = document.createElement('details');
+        panel.className = 'message-reasoning';
+        panel.open = live;
+        if (live) panel.classList.add('live');
+
+        panel.innerHTML = `
+            <summary>
+                <span class="message-reasoning-label">Thinking...</span>
+            </summary>
+            <div class="message-reasoning-content"></div>
+        `;
+
+        const header = messageEl.querySelector('.message-header');
+        header.after(panel);
+        return panel;
+    },
+
+    /**
+     * Refresh the elapsed-time label
+     */
+    updateLabel(tracker) {
+        const label = tracker.panel.querySelector('.message-reasoning-label');
+        const elapsed = this.formatDuration(this.getDuration(tracker));
+        label.textContent = tracker.finishedAt ? `Thought for ${elapsed}` : `Thinking... ${elapsed}`;
+    },
+
+    /**
+     * Format elapsed time
+     */
+    formatDuration(ms) {
+        return `${(ms / 1000).toFixed(1)}s`;
+    }
+};
@@ -0,0 +1,363 @@
+// SPDX-License-Identifier: GPL-3.0-only
+// SPDX-FileCopyrightText: Copyright (c) 2026 Andrew Wyatt (Fewtarius)
+
+/**
+ * Conversation Search for SAM-Web
+ * Filters the sidebar by title as you type and, on demand, searches message
+ * bodies across all conversations using a client-side index built from
+ * API.getConversation (cached per conversation until its `updated` changes)
+ */
+
+const Search = {
+    // State
+    query: '',
+    index: new Map(),       // conversationId -> { updated, title, messages: [content] }
+    indexing: false,
+    results: null,          // last message search results (null = not run for this query)
+    maxSnippetsPerConversation: 3,
+    snippetRadius: 60,
+    concurrency: 3,
+
+    /**
+     * Set up search box listeners
+     */
+    init() {
+        const input = document.getElementById('conversationSearch');
+        const button = document.getElementById('searchMessagesBtn');
+        if (!input) return;
+
+        input.addEventListener('input', (e) => {
+            this.setQuery(e.target.value);
+        });
+
+        input.addEventListener('keydown', (e) => {
+            if (e.key === 'Enter') {
+                e.preventDefault();
+                this.searchMessages();
+            } else if (e.key === 'Escape') {
+                // Clearing the search shouldn't also stop a streaming response
+                e.stopPropagation();
+                input.value = '';
+                this.setQuery('');
+                input.blur();
+            }
+        });
+
+        if (button) {
+            button.addEventListener('click', () => this.searchMessages());
+        }
+    },
+
+    /**
+     * Update the query: title filter applies immediately, message results reset
+     */
+    setQuery(query) {
+        this.query = query.trim();
+        this.results = null;
+
+        const button = document.getElementById('searchMessagesBtn');
+        if (button) {
+            button.style.display = this.query ? '' : 'none';
+            button.disabled = this.indexing;
+        }
+
+        this.renderResults();
+        Conversations.renderConversationList();
+    },
+
+    /**
+     * Drop message results (they were for another view)
+     */
+    clearResults() {
+        this.results = null;
+        this.renderResults();
+    },
+
+    /**
+     * Whether a search is active
+     */
+    isActive() {
+        return this.query.length > 0;
+    },
+
+    /**
+     * Split the query into lowercase terms
+     */
+    getTerms() {
+        return this.query.toLowerCase().split(/\s+/).filter(Boolean);
+    },
+
+    /**
+     * Title filter used by the conversation list
+     */
+    matchesTitle(conversation) {
+        if (!this.isActive()) return true;
+
+        const title = (conversation.title || '').toLowerCase();
+        return this.getTerms().every(term => title.includes(term));
+    },
+
+    /**
+     * Search message bodies across all conversations (builds/refreshes the index first)
+     */
+    async searchMessages() {
+        if (!this.isActive() || this.indexing) return;
+
+        const query = this.query;
+        await this.buildIndex();
+
+        // Query changed while indexing - results would be stale
+        if (query !== this.query) {
+            this.renderResults();
+            return;
+        }
+
+        const terms = this.getTerms();
+        this.results = [];
+
+        this.getSearchable().forEach(conversation => {
+            const entry = this.index.get(conversation.id);
+            if (!entry) return;
+
+            const matches = [];
+            entry.messages.forEach((content, messageIndex) => {
+                const lower = content.toLowerCase();
+                if (terms.every(term => lower.includes(term))) {
+                    matches.push({ messageIndex, snippet: this.createSnippet(content, terms) });
+                }
+            });
+
+            if (matches.length > 0) {
+                this.results.push({ conversation, matches });
+            }
+        });
+
+        this.renderResults();
+    },
+
+    /**
+     * Conversations in the current view, like the list shows them (trashed
+     * conversations only in the Trash view, none waiting out a delete's undo window)
+     */
+    getSearchable() {
+        return Conversations.conversations.filter(conversation =>
+            Conversations.isInView(conversation) && !Trash.isPending(conversation.id));
+    },
+
+    /**
+     * Fetch conversations missing from (or stale in) the index
+     */
+    async buildIndex() {
+        const stale = this.getSearchable().filter(conversation => {
+            const entry = this.index.get(conversation.id);
+            return !entry || entry.updated !== conversation.updated;
+        });
+
+        // Drop conversations that no longer exist
+        const ids = new Set(Conversations.conversations.map(c => c.id));
+        Array.from(this.index.keys()).forEach(id => {
+            if (!ids.has(id)) this.index.delete(id);
+        });
+
+        if (stale.length === 0) return;
+
+        this.indexing = true;
+        let done = 0;
+        this.renderProgress(done, stale.length);
+
+        const queue = [...stale];
+        const worker = async () => {
+            while (queue.length > 0) {
+                const conversation = queue.shift();
+                try {
+                    const response = await API.getConversation(conversation.id);
+                    this.index.set(conversation.id, {
+                        updated: conversation.updated,
+                        title: conversation.title,
+                        messages: (response.messages || []).map(msg => Reasoning.split(msg.content || '').content)
+                    });
+                } catch (error) {
+                    console.error('[Search] Failed to index conversation:', conversation.id, error);
+                }
+                done++;
+                this.renderProgress(done, stale.length);
+            }
+        };
+
+        await Promise.all(Array.from({ length: Math.min(this.concurrency, stale.length) }, worker));
+
+        this.indexing = false;
+        const button = document.getElementById('searchMessagesBtn');
+        if (button) button.disabled = false;
+        console.log('[Search] Indexed', stale.length, 'conversations');
+    },
+
+    /**
+     * Build a snippet around the first match with terms highlighted
+     */
+    createSnippet(content, terms) {
+        const text = content.replace(/\s+/g, ' ');
+        const lower = text.toLowerCase();
+        const first = Math.min(...terms.map(term => lower.indexOf(term)).filter(i => i >= 0));
+
+        const start = Math.max(0, first - this.snippetRadius);
+        const end = Math.min(text.length, first + this.snippetRadius * 2);
+
+        // Highlight on the raw text, escaping each piece separately
+        const snippet = text.slice(start, end)
+            .split(this.getPattern(terms))
+            .map((part, i) => i % 2 === 1
+                ? `<mark>${Conversations.escapeHtml(part)}</mark>`
+                : Conversations.escapeHtml(part))
+            .join('');
+
+        return (start > 0 ? '…' : '') + snippet + (end < text.length ? '…' : '');
+    },
+
+    /**
+     * Case-insensitive regex matching any term (capturing, for split)
+     */
+    getPattern(terms) {
+        const escaped = terms.map(term => term.replace(/[.*+?^${}()|[\]\\]/g, '\\$&'));
+        return new RegExp(`(${escaped.join('|')})`, 'gi');
+    },
+
+    /**
+     * Show indexing progress in the results panel
+     */
+    renderProgress(done, total) {
+        const container = document.getElementById('searchResults');
+        if (!container) return;
+
+        container.style.display = 'block';
+        container.innerHTML = `
+            <div class="search-progress">
+                <span>Indexing conversations ${done}/${total}...</span>
+                <div class="progress"><div class="progress-bar" style="width: ${Math.round(done / total * 100)}%"></div></div>
+            </div>
+        `;
+    },
+
+    /**
+     * Render message search results
+     */
+    renderResults() {
+        const container = document.getElementById('searchResults');
+        if (!container) return;
+
+        if (!this.isActive() || this.results === null) {
+            if (!this.indexing) {
+                container.style.display = 'none';
+                container.innerHTML = '';
+            }
+            return;
+        }
+
+        container.style.display = 'block';
+
+        const total = this.results.reduce((sum, result) => sum + result.matches.length, 0);
+        container.innerHTML = `
+            <div class="search-results-header">
+                ${total === 0 ? 'No messages found' : `${total} message${total !== 1 ? 's' : ''} in ${this.results.length} conversation${this.results.length !== 1 ? 's' : ''}`}
+            </div>
+        `;
+
+        this.results.forEach(({ conversation, matches }) => {
+            const group = document.createElement('div');
+            group.className = 'search-result-group';
+
+            const title = document.createElement('div');
+            title.className = 'search-result-title';
+            title.textContent = conversation.title;
+            group.appendChild(title);
+
+            matches.slice(0, this.maxSnippetsPerConversation).forEach(match => {
+                const item = document.createElement('button');
+                item.type = 'button';
+                item.className = 'search-result-snippet';
+                item.innerHTML = match.snippet;
+                item.addEventListener('click', () => this.openResult(conversation.id, match.messageIndex));
+                group.appendChild(item);
+            });
+
+            if (matches.length > this.maxSnippetsPerConversation) {
+                const more = document.createElement('div');
+                more.className = 'search-result-more';
+                more.textContent = `+${matches.length - this.maxSnippetsPerConversation} more`;
+                group.appendChild(more);
+            }
+
+            container.appendChild(group);
+        });
+    },
+
+    /**
+     * Open a conversation and jump to the matching message
+     */
+    async openResult(conversationId, messageIndex) {
+        if (conversationId !== Conversations.activeConversationId) {
+            try {
+                await Conversations.loadConversation(conversationId);
+            } catch (error) {
+                return; // Already reported by Conversations
+            }
+        }
+
+        // messageIndex is the position in the server's history, which differs from
+        // the chat once a conversation has branches - find the message by its text
+        const content = this.index.get(conversationId)?.messages[messageIndex];
+        const position = content !== undefined && window.findChatMessage
+            ? window.findChatMessage(content, messageIndex)
+            : messageIndex;
+
+        const messageEl = position >= 0 ? document.querySelectorAll('#messagesContainer > .message')[position] : null;
+        if (!messageEl) {
+            Toast.warning('Message not found - it may be on another branch, or the conversation changed');
+            return;
+        }
+
+        this.highlightTerms(messageEl.querySelector('.message-content'));
+        messageEl.scrollIntoView({ behavior: 'smooth', block: 'center' });
+        messageEl.classList.remove('search-hit');
+        void messageEl.offsetWidth; // Restart the flash animation
+        messageEl.classList.add('search-hit');
+    },
+
+    /**
+     * Wrap query terms in <mark> inside a rendered message
+     */
+    highlightTerms(element) {
+        if (!element) return;
+
+        const terms = this.getTerms();
+        if (terms.length === 0) return;
+
+        const pattern = this.getPattern(terms);
+        const walker = document.createTreeWalker(element, NodeFilter.SHOW_TEXT, {
+            acceptNode: (node) => node.parentElement.closest('mark, pre, svg')
+                ? NodeFilter.FILTER_REJECT
+                : NodeFilter.FILTER_ACCEPT
+        });
+
+        const nodes = [];
+        while (walker.nextNode()) nodes.push(walker.currentNode);
+
+        nodes.forEach(node => {
+            const parts = node.textContent.split(pattern);
+            if (parts.length === 1) return;
+
+            const fragment = document.createDocumentFragment();
+            parts.forEach((part, i) => {
+                if (i % 2 === 1) {
+                    const mark = document.createElement('mark');
+                    mark.className = 'search-highlight';
+                    mark.textContent = part;
+                    fragment.appendChild(mark);
+                } else if (part) {
+                    fragment.appendChild(document.createTextNode(part));
+                }
+            });
+            node.replaceWith(fragment);
+        });
+    }
+};
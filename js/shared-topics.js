@@ -111,7 +111,7 @@ const SharedTopics = {
     },
     
     /**
-     * Attach current conversation to a shared topic
+     * Attach a conversation to a shared topic
      */
     async attachToConversation(conversationId, topicId) {
         try {
@@ -121,9 +121,11 @@ const SharedTopics = {
                 body: JSON.stringify({ topicId })
             });
             
-            // Update local state
-            this.currentTopicId = topicId;
-            this.enabled = true;
+            // Update local state (bulk actions attach conversations that aren't open)
+            if (conversationId === Conversations.activeConversationId) {
+                this.currentTopicId = topicId;
+                this.enabled = true;
+            }
             
             console.log('[SharedTopics] Attached topic to conversation');
             return true;
@@ -0,0 +1,424 @@
+// SPDX-License-Identifier: GPL-3.0-only
+// SPDX-FileCopyrightText: Copyright (c) 2026 Andrew Wyatt (Fewtarius)
+
+/**
+ * Smart Filters for SAM-Web
+ * Saved sidebar filters combining tags, model, folder, date range and message
+ * count, evaluated against Conversations.conversations. One filter can be
+ * active at a time; it narrows the current view (All/Starred/Archived).
+ *
+ * Filter: { id, name, criteria: { tags, tagMode, model, folderId,
+ *           includeSubfolders, withinDays, from, to, minMessages, maxMessages } }
+ * folderId: '' = any folder, 'none' = not in a folder
+ */
+
+const SmartFilters = {
+    // State
+    filters: [],
+    activeId: null,
+    editingId: null,        // Filter being edited (null = creating)
+
+    // "Updated" choices in the dialog (days; 'range' = between two dates)
+    dateOptions: [
+        { value: '', label: 'Any time' },
+        { value: '1', label: 'Last 24 hours' },
+        { value: '7', label: 'Last 7 days' },
+        { value: '30', label: 'Last 30 days' },
+        { value: '90', label: 'Last 90 days' },
+        { value: 'range', label: 'Between dates...' }
+    ],
+
+    /**
+     * Load saved filters and set up the sidebar bar and dialog
+     */
+    init() {
+        this.load();
+        this.setupDialog();
+        this.render();
+    },
+
+    /**
+     * Read saved filters from localStorage (also when another tab changes them)
+     */
+    load() {
+        try {
+            this.filters = JSON.parse(localStorage.getItem('sam-web-smart-filters') || '[]');
+        } catch (e) {
+            console.error('[SmartFilters] Failed to parse saved filters:', e);
+            this.filters = [];
+        }
+
+        const activeId = localStorage.getItem('sam-web-smart-filter-active');
+        this.activeId = this.getFilter(activeId) ? activeId : null;
+    },
+
+    getFilter(filterId) {
+        return this.filters.find(f => f.id === filterId) || null;
+    },
+
+    getActive() {
+        return this.getFilter(this.activeId);
+    },
+
+    isActive() {
+        return !!this.getActive();
+    },
+
+    /**
+     * Whether a conversation passes the active filter (always true when none is active)
+     */
+    matches(conversation) {
+        const filter = this.getActive();
+        return !filter || this.evaluate(conversation, filter.criteria);
+    },
+
+    /**
+     * Evaluate criteria against a conversation (unset criteria match everything)
+     */
+    evaluate(conversation, criteria) {
+        const tags = conversation.tags || [];
+        if (criteria.tags && criteria.tags.length > 0) {
+            const matched = criteria.tagMode === 'all'
+                ? criteria.tags.every(tag => tags.includes(tag))
+                : criteria.tags.some(tag => tags.includes(tag));
+            if (!matched) return false;
+        }
+
+        if (criteria.model && this.getModel(conversation) !== criteria.model) {
+            return false;
+        }
+
+        if (criteria.folderId === 'none') {
+            if (conversation.folderId && Folders.getFolder(conversation.folderId)) return false;
+        } else if (criteria.folderId) {
+            const folderIds = criteria.includeSubfolders
+                ? [criteria.folderId, ...Folders.getDescendantIds(criteria.folderId)]
+                : [criteria.folderId];
+            if (!folderIds.includes(conversation.folderId)) return false;
+        }
+
+        const updated = new Date(conversation.updated).getTime();
+        if (criteria.withinDays && updated < Date.now() - criteria.withinDays * 86400000) {
+            return false;
+        }
+        if (criteria.from && updated < new Date(`${criteria.from}T00:00:00`).getTime()) {
+            return false;
+        }
+        if (criteria.to && updated > new Date(`${criteria.to}T23:59:59.999`).getTime()) {
+            return false;
+        }
+
+        const count = conversation.messageCount || 0;
+        if (criteria.minMessages != null && count < criteria.minMessages) return false;
+        if (criteria.maxMessages != null && count > criteria.maxMessages) return false;
+
+        return true;
+    },
+
+    /**
+     * Model a conversation uses (list entries carry it in different places)
+     */
+    getModel(conversation) {
+        return conversation.model || conversation.settings?.selectedModel || null;
+    },
+
+    /**
+     * Turn a filter on (or off when it is already active)
+     */
+    toggle(filterId) {
+        this.activeId = this.activeId === filterId ? null : filterId;
+        if (this.activeId) {
+            localStorage.setItem('sam-web-smart-filter-active', this.activeId);
+        } else {
+            localStorage.removeItem('sam-web-smart-filter-active');
+        }
+
+        BulkActions.clearSelection();
+        this.render();
+        Conversations.renderConversationList();
+    },
+
+    save() {
+        localStorage.setItem('sam-web-smart-filters', JSON.stringify(this.filters));
+    },
+
+    /**
+     * Filter chips above the conversation list
+     */
+    render() {
+        const bar = document.getElementById('smartFilterBar');
+        if (!bar) return;
+
+        bar.innerHTML = '';
+        this.filters.forEach(filter => {
+            const chip = document.createElement('button');
+            chip.type = 'button';
+            chip.className = 'smart-filter-chip';
+            chip.classList.toggle('active', filter.id === this.activeId);
+            chip.textContent = filter.name;
+            chip.title = `${this.describe(filter.criteria)}\nRight-click to edit`;
+            chip.addEventListener('click', () => this.toggle(filter.id));
+            chip.addEventListener('contextmenu', (e) => {
+                e.preventDefault();
+                ContextMenu.show(e.clientX, e.clientY, [
+                    { label: 'Edit', icon: '✏️', action: () => this.openDialog(filter) },
+                    { label: 'Delete', icon: '🗑️', danger: true, action: () => this.deleteFilter(filter.id) }
+                ]);
+            });
+            bar.appendChild(chip);
+        });
+
+        const addBtn = document.createElement('button');
+        addBtn.type = 'button';
+        addBtn.className = 'smart-filter-chip smart-filter-add';
+        addBtn.textContent = '+ Filter';
+        addBtn.title = 'Save a smart filter';
+        addBtn.addEventListener('click', () => this.openDialog());
+        bar.appendChild(addBtn);
+    },
+
+    /**
+     * Summary of criteria, one per line (chip tooltip)
+     */
+    describe(criteria) {
+        const parts = [];
+        if (criteria.tags?.length > 0) {
+            parts.push(`Tags (${criteria.tagMode === 'all' ? 'all' : 'any'}): ${criteria.tags.join(', ')}`);
+        }
+        if (criteria.model) parts.push(`Model: ${criteria.model}`);
+        if (criteria.folderId === 'none') {
+            parts.push('Not in a folder');
+        } else if (criteria.folderId) {
+            parts.push(`Folder: ${Folders.getPath(criteria.folderId) || 'deleted folder'}${criteria.includeSubfolders ? ' (and subfolders)' : ''}`);
+        }
+        if (criteria.withinDays) parts.push(`Updated in the last ${criteria.withinDays} day${criteria.withinDays !== 1 ? 's' : ''}`);
+        if (criteria.from || criteria.to) parts.push(`Updated ${criteria.from || '…'} to ${criteria.to || '…'}`);
+        if (criteria.minMessages != null || criteria.maxMessages != null) {
+            parts.push(`Messages: ${criteria.minMessages ?? 0}-${criteria.maxMessages ?? '∞'}`);
+        }
+        return parts.length > 0 ? parts.join('\n') : 'Matches every conversation';
+    },
+
+    // ============================================
+    // FILTER DIALOG
+    // ============================================
+
+    setupDialog() {
+        const modal = document.getElementById('smartFilterDialog');
+        if (!modal) return;
+
+        modal.querySelector('.modal-close').addEventListener('click', () => this.closeDialog());
+        document.getElementById('smartFilterCancelBtn').addEventListener('click', () => this.closeDialog());
+        document.getElementById('smartFilterDeleteBtn').addEventListener('click', () => {
+            const filterId = this.editingId;
+            this.closeDialog();
+            if (filterId) this.deleteFilter(filterId);
+        });
+        modal.addEventListener('click', (e) => {
+            if (e.target === modal) this.closeDialog();
+        });
+
+        document.getElementById('smartFilterForm').addEventListener('submit', (e) => {
+            e.preventDefault();
+            this.saveDialog();
+        });
+
+        const dateSelect = document.getElementById('smartFilterDate');
+        dateSelect.innerHTML = this.dateOptions
+            .map(option => `<option value="${option.value}">${option.label}</option>`)
+            .join('');
+        dateSelect.addEventListener('change', () => this.updateDateRange());
+
+        document.getElementById('smartFilterFolder').addEventListener('change', () => this.updateSubfolderOption());
+    },
+
+    /**
+     * Open the dialog (filter = null to create one)
+     */
+    openDialog(filter = null) {
+        this.editingId = filter ? filter.id : null;
+        const criteria = filter?.criteria || {};
+
+        document.getElementById('smartFilterDialogTitle').textContent = filter ? 'Edit Smart Filter' : 'New Smart Filter';
+        document.getElementById('smartFilterSaveBtn').textContent = filter ? 'Save' : 'Create';
+        document.getElementById('smartFilterDeleteBtn').style.display = filter ? '' : 'none';
+
+        const nameInput = document.getElementById('smartFilterName');
+        nameInput.value = filter?.name || '';
+
+        this.renderTagOptions(criteria.tags || []);
+        document.getElementById('smartFilterTagMode').value = criteria.tagMode || 'any';
+
+        this.renderModelOptions(criteria.model || '');
+        this.renderFolderOptions(criteria.folderId || '');
+        document.getElementById('smartFilterSubfolders').checked = criteria.includeSubfolders !== false;
+        this.updateSubfolderOption();
+
+        document.getElementById('smartFilterDate').value = criteria.withinDays
+            ? String(criteria.withinDays)
+            : (criteria.from || criteria.to ? 'range' : '');
+        document.getElementById('smartFilterFrom').value = criteria.from || '';
+        document.getElementById('smartFilterTo').value = criteria.to || '';
+        this.updateDateRange();
+
+        document.getElementById('smartFilterMinMessages').value = criteria.minMessages ?? '';
+        document.getElementById('smartFilterMaxMessages').value = criteria.maxMessages ?? '';
+
+        document.getElementById('smartFilterDialog').style.display = 'flex';
+        nameInput.focus();
+    },
+
+    closeDialog() {
+        document.getElementById('smartFilterDialog').style.display = 'none';
+        this.editingId = null;
+    },
+
+    /**
+     * Tag checkboxes (tags saved in the filter stay listed even if no conversation uses them now)
+     */
+    renderTagOptions(selected) {
+        const container = document.getElementById('smartFilterTags');
+        container.innerHTML = '';
+
+        const tags = Array.from(new Set([...Tags.getAllTags(), ...selected])).sort((a, b) => a.localeCompare(b));
+        if (tags.length === 0) {
+            container.innerHTML = '<p class="setting-hint">No tags yet - add them from a conversation\'s menu</p>';
+            return;
+        }
+
+        tags.forEach(tag => {
+            const label = document.createElement('label');
+            label.className = 'tag-chip smart-filter-tag';
+            label.style.setProperty('--tag-color', Tags.getColor(tag));
+            label.innerHTML = `<input type="checkbox"><span class="tag-chip-label"></span>`;
+            label.querySelector('input').value = tag;
+            label.querySelector('input').checked = selected.includes(tag);
+            label.querySelector('.tag-chip-label').textContent = tag;
+            container.appendChild(label);
+        });
+    },
+
+    /**
+     * Models used by conversations
+     */
+    renderModelOptions(selected) {
+        const select = document.getElementById('smartFilterModel');
+        const models = new Set(Conversations.conversations.map(c => this.getModel(c)).filter(Boolean));
+        if (selected) models.add(selected);
+
+        select.innerHTML = '<option value="">Any model</option>';
+        Array.from(models).sort((a, b) => a.localeCompare(b)).forEach(model => {
+            const option = document.createElement('option');
+            option.value = model;
+            option.textContent = model;
+            select.appendChild(option);
+        });
+        select.value = selected;
+    },
+
+    renderFolderOptions(selected) {
+        const select = document.getElementById('smartFilterFolder');
+        select.innerHTML = '<option value="">Any folder</option><option value="none">Not in a folder</option>';
+
+        Folders.getTree().forEach(({ folder, depth }) => {
+            const option = document.createElement('option');
+            option.value = folder.id;
+            option.textContent = `${'\u00a0\u00a0'.repeat(depth)}${folder.icon ? folder.icon + ' ' : ''}${folder.name}`;
+            select.appendChild(option);
+        });
+
+        select.value = Folders.getFolder(selected) || selected === 'none' ? selected : '';
+    },
+
+    updateSubfolderOption() {
+        const folderId = document.getElementById('smartFilterFolder').value;
+        document.getElementById('smartFilterSubfoldersRow').style.display =
+            folderId && folderId !== 'none' ? '' : 'none';
+    },
+
+    updateDateRange() {
+        const range = document.getElementById('smartFilterDate').value === 'range';
+        document.getElementById('smartFilterDateRange').style.display = range ? '' : 'none';
+    },
+
+    /**
+     * Read the dialog into criteria
+     */
+    readCriteria() {
+        const number = (id) => {
+            const value = document.getElementById(id).value;
+            return value === '' ? null : Math.max(0, parseInt(value, 10));
+        };
+
+        const folderId = document.getElementById('smartFilterFolder').value;
+        const date = document.getElementById('smartFilterDate').value;
+
+        return {
+            tags: Array.from(document.querySelectorAll('#smartFilterTags input:checked')).map(input => input.value),
+            tagMode: document.getElementById('smartFilterTagMode').value,
+            model: document.getElementById('smartFilterModel').value,
+            folderId,
+            includeSubfolders: document.getElementById('smartFilterSubfolders').checked,
+            withinDays: date && date !== 'range' ? parseInt(date, 10) : null,
+            from: date === 'range' ? document.getElementById('smartFilterFrom').value || null : null,
+            to: date === 'range' ? document.getElementById('smartFilterTo').value || null : null,
+            minMessages: number('smartFilterMinMessages'),
+            maxMessages: number('smartFilterMaxMessages')
+        };
+    },
+
+    /**
+     * Create or update the filter and show its results
+     */
+    saveDialog() {
+        const name = document.getElementById('smartFilterName').value.trim();
+        if (!name) {
+            Toast.warning('Filter name is required');
+            document.getElementById('smartFilterName').focus();
+            return;
+        }
+
+        const criteria = this.readCriteria();
+        if (criteria.minMessages != null && criteria.maxMessages != null && criteria.minMessages > criteria.maxMessages) {
+            Toast.warning('Minimum messages is larger than the maximum');
+            return;
+        }
+        if (criteria.from && criteria.to && criteria.from > criteria.to) {
+            Toast.warning('The start date is after the end date');
+            return;
+        }
+
+        let filter = this.getFilter(this.editingId);
+        if (filter) {
+            filter.name = name;
+            filter.criteria = criteria;
+        } else {
+            filter = { id: crypto.randomUUID(), name, criteria };
+            this.filters.push(filter);
+        }
+        this.save();
+        this.closeDialog();
+
+        // Show what the filter matches
+        this.activeId = null;
+        this.toggle(filter.id);
+
+        const count = Conversations.conversations.filter(c => Conversations.isInView(c) && this.matches(c)).length;
+        Toast.success(`"${name}" matches ${count} conversation${count !== 1 ? 's' : ''}`);
+    },
+
+    deleteFilter(filterId) {
+        const filter = this.getFilter(filterId);
+        if (!filter || !confirm(`Delete the smart filter "${filter.name}"?`)) return;
+
+        this.filters = this.filters.filter(f => f.id !== filterId);
+        this.save();
+
+        if (this.activeId === filterId) {
+            this.toggle(filterId);
+        } else {
+            this.render();
+        }
+        Toast.success(`Deleted "${filter.name}"`);
+    }
+};
@@ -0,0 +1,79 @@
+// SPDX-License-Identifier: GPL-3.0-only
+// SPDX-FileCopyrightText: Copyright (c) 2026 Andrew Wyatt (Fewtarius)
+
+/**
+ * Response Streams for SAM-Web
+ * Tracks in-flight responses per conversation so they keep streaming in the
+ * background when another conversation is opened, several conversations can
+ * generate at once, and the sidebar shows which ones are busy.
+ *
+ * Stream: { conversationKey, history, tree, element, handle, interrupt() }
+ * history is the conversation's message array the response is added to and
+ * tree its branch tree (see Branches); element is its assistant message,
+ * re-attached when the conversation is shown again.
+ */
+
+const Streams = {
+    // State
+    streams: new Map(),     // conversationKey -> stream
+
+    /**
+     * Register a response that started streaming
+     */
+    start(conversationKey, stream) {
+        stream.conversationKey = conversationKey;
+        this.streams.set(conversationKey, stream);
+
+        TabSync.streamStarted(conversationKey);
+        Conversations.renderConversationList();
+    },
+
+    /**
+     * The response ended (completed, failed or stopped)
+     */
+    finish(conversationKey) {
+        if (!this.streams.has(conversationKey)) return;
+        this.streams.delete(conversationKey);
+
+        TabSync.streamEnded(conversationKey);
+        Conversations.renderConversationList();
+    },
+
+    get(conversationKey) {
+        return this.streams.get(conversationKey) || null;
+    },
+
+    has(conversationKey) {
+        return this.streams.has(conversationKey);
+    },
+
+    /**
+     * The stream adding to a message array (the one on screen when it is the chat's)
+     */
+    findByHistory(history) {
+        for (const stream of this.streams.values()) {
+            if (stream.history === history) return stream;
+        }
+        return null;
+    },
+
+    /**
+     * Abort a conversation's response without keeping it (conversation deleted)
+     */
+    cancel(conversationKey) {
+        const stream = this.get(conversationKey);
+        if (!stream) return;
+
+        stream.handle.cancel();
+        this.finish(conversationKey);
+    },
+
+    /**
+     * Spinner badge for busy conversations in the sidebar
+     */
+    renderBadge(conversationId) {
+        return this.has(conversationId)
+            ? '<span class="conversation-streaming" title="Generating a response"></span>'
+            : '';
+    }
+};
@@ -0,0 +1,268 @@
+// SPDX-License-Identifier: GPL-3.0-only
+// SPDX-FileCopyrightText: Copyright (c) 2026 Andrew Wyatt (Fewtarius)
+
+/**
+ * Cross-Tab Sync for SAM-Web
+ * Keeps several open SAM-Web tabs consistent. Server changes made in one tab
+ * (new messages, renames, deletes, folder changes) are announced on a
+ * BroadcastChannel so the other tabs refresh their sidebar and active view;
+ * settings kept in localStorage (parameter defaults, collapsed folders, tag
+ * colors, smart filters) are picked up from storage events. Tabs also share
+ * which conversations they are streaming, so a tab can warn before a second
+ * response is started in the same conversation.
+ *
+ * Without BroadcastChannel, messages travel through a localStorage key instead.
+ */
+
+const TabSync = {
+    // State
+    tabId: crypto.randomUUID(),
+    channel: null,
+    streamingIds: new Set(),    // Conversations this tab is streaming into
+    remoteStreams: new Map(),   // conversationId -> tabId streaming into it
+    pending: { conversationIds: new Set(), list: false, folders: false },
+    flushTimer: null,
+    refreshTimer: null,
+    refreshIds: new Set(),
+    messageKey: 'sam-web-sync-message',
+
+    // localStorage keys other tabs may change, and how to apply them here
+    storageHandlers: {
+        'sam-web-collapsed-folders': () => {
+            Folders.loadCollapsedState();
+            Conversations.renderConversationList();
+        },
+        'sam-web-tag-colors': () => {
+            Tags.loadColors();
+            Conversations.renderConversationList();
+        },
+        'sam-web-smart-filters': () => TabSync.reloadSmartFilters(),
+        'sam-web-smart-filter-active': () => TabSync.reloadSmartFilters(),
+        'sam-web-showAdvancedParameters': () => TabSync.reloadParameterDefaults(),
+        'sam-web-temperature': () => TabSync.reloadParameterDefaults(),
+        'sam-web-topP': () => TabSync.reloadParameterDefaults(),
+        'sam-web-repetitionPenalty': () => TabSync.reloadParameterDefaults(),
+        'sam-web-enableReasoning': () => TabSync.reloadParameterDefaults(),
+        'sam-web-enableTools': () => TabSync.reloadParameterDefaults()
+    },
+
+    /**
+     * Open the channel, listen for storage changes and ask other tabs what they are streaming
+     */
+    init() {
+        if ('BroadcastChannel' in window) {
+            this.channel = new BroadcastChannel('sam-web-sync');
+            this.channel.addEventListener('message', (e) => this.receive(e.data));
+        }
+
+        window.addEventListener('storage', (e) => this.onStorage(e));
+        window.addEventListener('pagehide', () => this.publish('tab-closed'));
+
+        // Announce every successful server change made from this tab
+        API.onWrite = (endpoint) => this.noteWrite(endpoint);
+
+        this.publish('hello');
+    },
+
+    /**
+     * Send a message to the other tabs
+     */
+    publish(type, data = {}) {
+        const message = { type, tabId: this.tabId, ...data };
+
+        if (this.channel) {
+            this.channel.postMessage(message);
+            return;
+        }
+
+        // Fallback: every write fires a storage event in the other tabs
+        try {
+            localStorage.setItem(this.messageKey, JSON.stringify({ ...message, nonce: Math.random() }));
+        } catch (e) {
+            console.error('[TabSync] Failed to publish message:', e);
+        }
+    },
+
+    /**
+     * Handle a message from another tab
+     */
+    receive(message) {
+        if (!message || message.tabId === this.tabId) return;
+
+        switch (message.type) {
+            case 'hello':
+                // A new tab wants to know which conversations are busy
+                this.streamingIds.forEach(conversationId => {
+                    this.publish('stream-started', { conversationId });
+                });
+                break;
+            case 'conversations-changed':
+                this.scheduleRefresh(message.conversationIds || []);
+                break;
+            case 'folders-changed':
+                this.refreshFolders();
+                break;
+            case 'stream-started':
+                this.remoteStreams.set(message.conversationId, message.tabId);
+                this.renderIndicator();
+                break;
+            case 'stream-ended':
+                this.remoteStreams.delete(message.conversationId);
+                this.renderIndicator();
+                break;
+            case 'tab-closed':
+                this.remoteStreams.forEach((tabId, conversationId) => {
+                    if (tabId === message.tabId) this.remoteStreams.delete(conversationId);
+                });
+                this.renderIndicator();
+                break;
+        }
+    },
+
+    onStorage(e) {
+        if (e.storageArea !== localStorage) return;
+
+        if (e.key === this.messageKey) {
+            if (e.newValue) {
+                try {
+                    this.receive(JSON.parse(e.newValue));
+                } catch (error) {
+                    console.error('[TabSync] Failed to parse message:', error);
+                }
+            }
+            return;
+        }
+
+        const handler = this.storageHandlers[e.key];
+        if (handler) {
+            handler();
+        }
+    },
+
+    // ============================================
+    // OUTGOING CHANGES
+    // ============================================
+
+    /**
+     * Collect a server write and announce it shortly after
+     * (bulk actions make many requests in a row)
+     */
+    noteWrite(endpoint) {
+        const conversationMatch = endpoint.match(/^\/v1\/conversations(?:\/([^/?]+))?/);
+        if (conversationMatch) {
+            if (conversationMatch[1]) {
+                this.pending.conversationIds.add(decodeURIComponent(conversationMatch[1]));
+            } else {
+                this.pending.list = true;
+            }
+        } else if (endpoint.startsWith('/api/folders')) {
+            this.pending.folders = true;
+        } else {
+            return;
+        }
+
+        clearTimeout(this.flushTimer);
+        this.flushTimer = setTimeout(() => this.flush(), 200);
+    },
+
+    /**
+     * Messages were added to a conversation by a chat request (saved by the server)
+     */
+    conversationChanged(conversationId) {
+        if (!conversationId) {
+            this.pending.list = true;
+        } else {
+            this.pending.conversationIds.add(conversationId);
+        }
+
+        clearTimeout(this.flushTimer);
+        this.flushTimer = setTimeout(() => this.flush(), 200);
+    },
+
+    flush() {
+        const { conversationIds, list, folders } = this.pending;
+        this.pending = { conversationIds: new Set(), list: false, folders: false };
+
+        if (folders) {
+            this.publish('folders-changed');
+        }
+        if (list || conversationIds.size > 0) {
+            this.publish('conversations-changed', { conversationIds: Array.from(conversationIds) });
+        }
+    },
+
+    /**
+     * This tab started or stopped streaming a response into a conversation
+     */
+    streamStarted(conversationId) {
+        if (!conversationId) return;
+
+        this.streamingIds.add(conversationId);
+        this.publish('stream-started', { conversationId });
+    },
+
+    streamEnded(conversationId) {
+        if (!this.streamingIds.delete(conversationId)) return;
+
+        this.publish('stream-ended', { conversationId });
+    },
+
+    /**
+     * Whether another tab is streaming a response into a conversation
+     */
+    isStreamingElsewhere(conversationId) {
+        return !!conversationId && this.remoteStreams.has(conversationId);
+    },
+
+    // ============================================
+    // INCOMING CHANGES
+    // ============================================
+
+    /**
+     * Refresh once a burst of changes has settled
+     */
+    scheduleRefresh(conversationIds) {
+        conversationIds.forEach(id => this.refreshIds.add(id));
+
+        clearTimeout(this.refreshTimer);
+        this.refreshTimer = setTimeout(() => {
+            const ids = Array.from(this.refreshIds);
+            this.refreshIds.clear();
+            Conversations.applyRemoteChanges(ids).catch(error => {
+                console.error('[TabSync] Failed to refresh conversations:', error);
+            });
+        }, 300);
+    },
+
+    async refreshFolders() {
+        await Folders.fetchFolders();
+        Conversations.renderConversationList();
+    },
+
+    reloadSmartFilters() {
+        SmartFilters.load();
+        SmartFilters.render();
+        Conversations.renderConversationList();
+    },
+
+    /**
+     * Parameter defaults only apply to a conversation that hasn't been saved yet
+     * (an open saved conversation keeps its own settings)
+     */
+    async reloadParameterDefaults() {
+        if (Conversations.activeConversationId) return;
+
+        await Parameters.init();
+        Parameters.updateUI();
+    },
+
+    /**
+     * Header warning while another tab streams into the open conversation
+     */
+    renderIndicator() {
+        const indicator = document.getElementById('tabStreamingIndicator');
+        if (!indicator) return;
+
+        indicator.style.display = this.isStreamingElsewhere(Conversations.activeConversationId) ? 'inline-flex' : 'none';
+    }
+};
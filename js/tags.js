@@ -0,0 +1,250 @@
+// SPDX-License-Identifier: GPL-3.0-only
+// SPDX-FileCopyrightText: Copyright (c) 2026 Andrew Wyatt (Fewtarius)
+
+/**
+ * Conversation Tags for SAM-Web
+ * Free-form labels that cut across folders ("bug-triage", "needs-review").
+ * Tags are stored with the conversation on the server; tag colors are a
+ * client-side preference shared by every conversation using the tag.
+ */
+
+const Tags = {
+    // State
+    colors: {},             // tag -> color
+    editingConversationId: null,
+    selectedTag: null,      // Tag whose color the editor's picker changes
+    maxLength: 32,
+
+    /**
+     * Load tag colors and set up the tag editor
+     */
+    init() {
+        this.loadColors();
+        this.setupEditor();
+    },
+
+    /**
+     * Read tag colors from localStorage (also when another tab changes them)
+     */
+    loadColors() {
+        try {
+            this.colors = JSON.parse(localStorage.getItem('sam-web-tag-colors') || '{}');
+        } catch (e) {
+            console.error('[Tags] Failed to parse tag colors:', e);
+            this.colors = {};
+        }
+    },
+
+    /**
+     * Every tag used by any conversation, sorted
+     */
+    getAllTags() {
+        const tags = new Set();
+        Conversations.conversations.forEach(c => (c.tags || []).forEach(tag => tags.add(tag)));
+        return Array.from(tags).sort((a, b) => a.localeCompare(b));
+    },
+
+    /**
+     * Tag color: the chosen one, or a stable pick from the folder palette
+     */
+    getColor(tag) {
+        if (this.colors[tag]) return this.colors[tag];
+
+        let hash = 0;
+        for (const char of tag) {
+            hash = (hash * 31 + char.charCodeAt(0)) | 0;
+        }
+        return FolderManager.colors[Math.abs(hash) % FolderManager.colors.length];
+    },
+
+    setColor(tag, color) {
+        if (color) {
+            this.colors[tag] = color;
+        } else {
+            delete this.colors[tag];
+        }
+        localStorage.setItem('sam-web-tag-colors', JSON.stringify(this.colors));
+    },
+
+    /**
+     * Normalize user input: trimmed, single spaces, limited length
+     */
+    normalize(tag) {
+        return tag.trim().replace(/\s+/g, ' ').slice(0, this.maxLength);
+    },
+
+    /**
+     * Colored chip markup for the conversation list
+     */
+    renderChips(tags) {
+        return tags.map(tag => `
+            <span class="conversation-tag" style="--tag-color: ${this.getColor(tag)}">${Conversations.escapeHtml(tag)}</span>
+        `).join('');
+    },
+
+    /**
+     * Replace a conversation's tags on the server
+     */
+    async setTags(conversationId, tags) {
+        const conversation = Conversations.conversations.find(c => c.id === conversationId);
+        if (!conversation) return;
+
+        await API.updateConversationTags(conversationId, tags);
+        conversation.tags = tags;
+        Conversations.renderConversationList();
+    },
+
+    // ============================================
+    // TAG EDITOR
+    // ============================================
+
+    setupEditor() {
+        const modal = document.getElementById('tagEditorModal');
+        if (!modal) return;
+
+        modal.querySelector('.modal-close').addEventListener('click', () => this.closeEditor());
+        document.getElementById('tagEditorDoneBtn').addEventListener('click', () => this.closeEditor());
+        modal.addEventListener('click', (e) => {
+            if (e.target === modal) this.closeEditor();
+        });
+
+        document.getElementById('tagEditorForm').addEventListener('submit', (e) => {
+            e.preventDefault();
+            const input = document.getElementById('tagEditorInput');
+            const tag = this.normalize(input.value);
+            if (tag) {
+                input.value = '';
+                this.addTag(tag);
+            }
+        });
+
+        // Swatches for the selected tag (reuses the folder palette)
+        const picker = document.getElementById('tagColorPicker');
+        picker.innerHTML = '';
+        [null, ...FolderManager.colors].forEach(color => {
+            const swatch = document.createElement('button');
+            swatch.type = 'button';
+            swatch.className = 'folder-swatch';
+            swatch.dataset.value = color || '';
+            swatch.title = color || 'Automatic color';
+            if (color) {
+                swatch.style.background = color;
+            } else {
+                swatch.classList.add('none');
+            }
+            swatch.addEventListener('click', () => {
+                if (!this.selectedTag) return;
+                this.setColor(this.selectedTag, color);
+                this.renderEditor();
+                Conversations.renderConversationList();
+            });
+            picker.appendChild(swatch);
+        });
+    },
+
+    /**
+     * Open the tag editor for a conversation
+     */
+    openEditor(conversationId) {
+        const conversation = Conversations.conversations.find(c => c.id === conversationId);
+        if (!conversation) return;
+
+        this.editingConversationId = conversationId;
+        this.selectedTag = (conversation.tags || [])[0] || null;
+
+        document.getElementById('tagEditorTitle').textContent = `Tags: ${conversation.title}`;
+        this.renderEditor();
+
+        document.getElementById('tagEditorModal').style.display = 'flex';
+        document.getElementById('tagEditorInput').focus();
+    },
+
+    closeEditor() {
+        document.getElementById('tagEditorModal').style.display = 'none';
+        this.editingConversationId = null;
+        this.selectedTag = null;
+    },
+
+    /**
+     * Current tags (click to pick its color, × to remove), suggestions and the color picker
+     */
+    renderEditor() {
+        const conversation = Conversations.conversations.find(c => c.id === this.editingConversationId);
+        if (!conversation) return;
+
+        const tags = conversation.tags || [];
+        const list = document.getElementById('tagEditorList');
+        list.innerHTML = tags.length === 0 ? '<p class="setting-hint">No tags yet</p>' : '';
+
+        tags.forEach(tag => {
+            const chip = document.createElement('span');
+            chip.className = 'tag-chip';
+            chip.classList.toggle('selected', tag === this.selectedTag);
+            chip.style.setProperty('--tag-color', this.getColor(tag));
+            chip.title = 'Select to change its color';
+            chip.innerHTML = `<span class="tag-chip-label"></span><button type="button" class="tag-chip-remove" title="Remove tag">×</button>`;
+            chip.querySelector('.tag-chip-label').textContent = tag;
+            chip.addEventListener('click', () => {
+                this.selectedTag = tag;
+                this.renderEditor();
+            });
+            chip.querySelector('.tag-chip-remove').addEventListener('click', (e) => {
+                e.stopPropagation();
+                this.removeTag(tag);
+            });
+            list.appendChild(chip);
+        });
+
+        // Suggest tags used elsewhere
+        const suggestions = document.getElementById('tagSuggestions');
+        suggestions.innerHTML = '';
+        this.getAllTags().filter(tag => !tags.includes(tag)).forEach(tag => {
+            const option = document.createElement('option');
+            option.value = tag;
+            suggestions.appendChild(option);
+        });
+
+        const colorGroup = document.getElementById('tagColorGroup');
+        colorGroup.style.display = this.selectedTag ? '' : 'none';
+        if (this.selectedTag) {
+            document.getElementById('tagColorLabel').textContent = `Color of "${this.selectedTag}"`;
+            FolderManager.selectOption(document.getElementById('tagColorPicker'), this.colors[this.selectedTag] || '');
+        }
+    },
+
+    async addTag(tag) {
+        const conversation = Conversations.conversations.find(c => c.id === this.editingConversationId);
+        if (!conversation) return;
+
+        // Reuse the existing spelling of a tag that differs only in case
+        const existing = this.getAllTags().find(t => t.toLowerCase() === tag.toLowerCase());
+        const value = existing || tag;
+        const tags = conversation.tags || [];
+        if (tags.includes(value)) return;
+
+        try {
+            await this.setTags(conversation.id, [...tags, value]);
+            this.selectedTag = value;
+            this.renderEditor();
+        } catch (error) {
+            console.error('[Tags] Failed to add tag:', error);
+            Toast.error('Failed to add tag: ' + error.message);
+        }
+    },
+
+    async removeTag(tag) {
+        const conversation = Conversations.conversations.find(c => c.id === this.editingConversationId);
+        if (!conversation) return;
+
+        try {
+            await this.setTags(conversation.id, (conversation.tags || []).filter(t => t !== tag));
+            if (this.selectedTag === tag) {
+                this.selectedTag = (conversation.tags || [])[0] || null;
+            }
+            this.renderEditor();
+        } catch (error) {
+            console.error('[Tags] Failed to remove tag:', error);
+            Toast.error('Failed to remove tag: ' + error.message);
+        }
+    }
+};
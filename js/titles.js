@@ -0,0 +1,254 @@
+// SPDX-License-Identifier: GPL-3.0-only
+// SPDX-FileCopyrightText: Copyright (c) 2026 Andrew Wyatt (Fewtarius)
+
+/**
+ * Conversation Titles for SAM-Web
+ * Generates a concise title after the first exchange (optional, with a
+ * configurable - possibly cheaper - model), regenerates titles on demand and
+ * edits titles in place in the sidebar and the chat header.
+ */
+
+const Titles = {
+    // State
+    autoTitle: false,       // Off unless chosen - each title is an extra model request
+    titleModel: '',         // '' = use the conversation's chat model
+    generating: new Set(),  // Conversation IDs with a title request in flight
+    maxLength: 60,
+
+    /**
+     * Restore settings and set up the sidebar controls and header editing
+     */
+    init() {
+        this.autoTitle = localStorage.getItem('sam-web-auto-title') === 'true';
+        this.titleModel = localStorage.getItem('sam-web-title-model') || '';
+
+        const toggle = document.getElementById('autoTitleToggle');
+        if (toggle) {
+            toggle.checked = this.autoTitle;
+            toggle.addEventListener('change', () => {
+                this.autoTitle = toggle.checked;
+                localStorage.setItem('sam-web-auto-title', String(this.autoTitle));
+            });
+        }
+
+        const modelSelect = document.getElementById('titleModelSelect');
+        if (modelSelect) {
+            modelSelect.addEventListener('change', () => {
+                this.titleModel = modelSelect.value;
+                localStorage.setItem('sam-web-title-model', this.titleModel);
+            });
+        }
+
+        // Click the header title to edit it
+        const headerTitle = document.getElementById('conversationTitle');
+        if (headerTitle) {
+            headerTitle.title = 'Click to rename';
+            headerTitle.addEventListener('click', () => {
+                const conversationId = Conversations.activeConversationId;
+                if (conversationId) this.startEditing(headerTitle, conversationId);
+            });
+        }
+
+        const regenerateBtn = document.getElementById('regenerateTitleBtn');
+        if (regenerateBtn) {
+            regenerateBtn.addEventListener('click', () => {
+                if (Conversations.activeConversationId) this.regenerate(Conversations.activeConversationId);
+            });
+        }
+    },
+
+    /**
+     * Fill the title model select (called whenever the model list is loaded)
+     */
+    setModels(models) {
+        const select = document.getElementById('titleModelSelect');
+        if (!select) return;
+
+        select.innerHTML = '<option value="">Same as chat model</option>';
+        models.forEach(model => {
+            const option = document.createElement('option');
+            option.value = model.id;
+            option.textContent = model.id;
+            select.appendChild(option);
+        });
+
+        // A saved model that is no longer available falls back to the chat model
+        if (this.titleModel && !models.some(model => model.id === this.titleModel)) {
+            this.titleModel = '';
+        }
+        select.value = this.titleModel;
+    },
+
+    /**
+     * Title a conversation after its first exchange (when enabled)
+     */
+    async autoGenerate(conversationId, messages, chatModel) {
+        if (!this.autoTitle || !conversationId) return;
+
+        const exchanged = messages.length === 2 && messages[0].role === 'user' && messages[1].role === 'assistant';
+        if (!exchanged) return;
+
+        try {
+            const title = await this.request(messages, chatModel, conversationId);
+            await Conversations.renameConversation(conversationId, title, true);
+        } catch (error) {
+            // The server's title stays - not worth interrupting the user for
+            console.error('[Titles] Failed to generate title:', error);
+        }
+    },
+
+    /**
+     * Generate a new title from the conversation's messages ("Regenerate title")
+     */
+    async regenerate(conversationId) {
+        if (this.generating.has(conversationId)) return;
+
+        try {
+            const conversation = await API.getConversation(conversationId);
+            const messages = (conversation.messages || []).map(msg => ({
+                role: msg.isFromUser ? 'user' : 'assistant',
+                content: Reasoning.split(msg.content || '').content
+            }));
+            if (messages.length === 0) {
+                Toast.info('Nothing to title yet - send a message first');
+                return;
+            }
+
+            const chatModel = conversation.settings?.selectedModel || conversation.model;
+            const title = await this.request(messages, chatModel, conversationId);
+            await Conversations.renameConversation(conversationId, title, true);
+            Toast.success(`Renamed to "${title}"`);
+        } catch (error) {
+            console.error('[Titles] Failed to regenerate title:', error);
+            Toast.error('Failed to generate a title: ' + error.message);
+        }
+    },
+
+    /**
+     * Ask the title model for a concise title (its tokens count towards the
+     * conversation's cost when a conversationId is given)
+     */
+    async request(messages, chatModel, conversationId = null) {
+        const model = this.titleModel || chatModel;
+        if (!model) {
+            throw new Error('No model selected');
+        }
+
+        // The opening turns say what a conversation is about; keep the request small
+        const transcript = messages.slice(0, 4)
+            .map(message => `${message.role === 'user' ? 'User' : 'Assistant'}: ${message.content.slice(0, 2000)}`)
+            .join('\n\n');
+
+        if (conversationId) this.generating.add(conversationId);
+        this.renderGenerating();
+
+        try {
+            const response = await API.chatCompletion({
+                model,
+                stream: false,
+                messages: [
+                    {
+                        role: 'system',
+                        content: 'Write a concise title (3 to 6 words) for the conversation below. Reply with the title only: no quotes, no trailing punctuation.'
+                    },
+                    { role: 'user', content: transcript }
+                ]
+            });
+            Usage.addToTotals(conversationId, Usage.normalize(response.usage), model);
+
+            const title = this.clean(response.choices?.[0]?.message?.content || '');
+            if (!title) {
+                throw new Error('Empty title response');
+            }
+            return title;
+        } finally {
+            if (conversationId) this.generating.delete(conversationId);
+            this.renderGenerating();
+        }
+    },
+
+    /**
+     * Strip reasoning, quotes, "Title:" prefixes and trailing punctuation
+     */
+    clean(text) {
+        let title = Reasoning.split(text).content.trim().split('\n')[0].trim();
+        title = title
+            .replace(/^title:\s*/i, '')
+            .replace(/^["'`*#\s]+|["'`*\s]+$/g, '')
+            .replace(/[.!?:;,]+$/, '')
+            .trim();
+
+        if (title.length > this.maxLength) {
+            title = title.slice(0, this.maxLength - 3).trimEnd() + '...';
+        }
+        return title;
+    },
+
+    /**
+     * Spin the header's regenerate button while the active conversation is being titled
+     */
+    renderGenerating() {
+        const button = document.getElementById('regenerateTitleBtn');
+        if (!button) return;
+
+        const busy = this.generating.has(Conversations.activeConversationId);
+        button.disabled = busy;
+        button.classList.toggle('generating', busy);
+    },
+
+    /**
+     * Replace a title element with an input until Enter/blur (save) or Escape (cancel)
+     */
+    startEditing(element, conversationId) {
+        if (element.querySelector('.title-edit-input')) return;
+
+        const conversation = Conversations.conversations.find(c => c.id === conversationId);
+        const original = conversation?.title || element.textContent.trim();
+
+        const input = document.createElement('input');
+        input.type = 'text';
+        input.className = 'title-edit-input';
+        input.value = original;
+
+        element.textContent = '';
+        element.appendChild(input);
+        element.classList.add('editing');
+        input.focus();
+        input.select();
+
+        let finished = false;
+        const finish = async (save) => {
+            if (finished) return;
+            finished = true;
+
+            const title = input.value.trim();
+            element.classList.remove('editing');
+            element.textContent = original;
+
+            if (save && title && title !== original) {
+                element.textContent = title;
+                try {
+                    await Conversations.renameConversation(conversationId, title);
+                } catch (error) {
+                    element.textContent = original;
+                }
+            }
+        };
+
+        // Clicks and drags inside the input must not reach the conversation item
+        ['click', 'mousedown', 'dragstart'].forEach(type => {
+            input.addEventListener(type, (e) => e.stopPropagation());
+        });
+        input.addEventListener('keydown', (e) => {
+            e.stopPropagation();
+            if (e.key === 'Enter') {
+                e.preventDefault();
+                finish(true);
+            } else if (e.key === 'Escape') {
+                e.preventDefault();
+                finish(false);
+            }
+        });
+        input.addEventListener('blur', () => finish(true));
+    }
+};
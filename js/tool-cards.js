@@ -0,0 +1,377 @@
+// SPDX-License-Identifier: GPL-3.0-only
+// SPDX-FileCopyrightText: Copyright (c) 2026 Andrew Wyatt (Fewtarius)
+
+/**
+ * Tool Cards for SAM-Web
+ * Builds live tool cards from OpenAI-style delta.tool_calls in the stream,
+ * tracks status/duration/results and handles user collaboration approvals
+ *
+ * Stream formats handled:
+ * - delta.tool_calls: [{ index, id, function: { name, arguments } }] (arguments arrive in fragments)
+ * - delta.role === 'tool' with tool_call_id + content: tool result (is_error marks failure)
+ * - tool calls flagged requires_approval, or named in collaborationTools, wait for the user
+ *
+ * Calls are kept with their message (stored client-side by MessageMeta) and
+ * shown again when the conversation is reloaded - read-only, except calls
+ * still waiting for a decision
+ */
+
+const ToolCards = {
+    // Tools that pause for a user decision before SAM continues
+    collaborationTools: ['user_collaboration'],
+    maxStoredResult: 20000, // Characters of a result kept when stored client-side
+
+    /**
+     * Create tracking state for one streamed response
+     */
+    createTracker(messageEl) {
+        return {
+            messageEl,
+            calls: new Map(),       // stream index -> call record
+            elements: new Map(),    // stream index -> card element
+            timer: null,
+            onDecision: null        // Called after the user approves or denies a call
+        };
+    },
+
+    /**
+     * Get (or create) the tool card container inside a message element
+     */
+    getContainer(messageEl) {
+        let container = messageEl.querySelector('.message-tool-calls');
+        if (!container) {
+            container = document.createElement('div');
+            container.className = 'message-tool-calls';
+            const content = messageEl.querySelector('.message-content');
+            content.parentNode.insertBefore(container, content);
+        }
+        return container;
+    },
+
+    /**
+     * Apply delta.tool_calls fragments from a streaming chunk
+     */
+    applyDelta(tracker, toolCallDeltas) {
+        toolCallDeltas.forEach(delta => {
+            const index = delta.index !== undefined ? delta.index : tracker.calls.size;
+            let call = tracker.calls.get(index);
+
+            if (!call) {
+                call = {
+                    id: null,
+                    name: '',
+                    arguments: '',
+                    status: 'running',
+                    result: null,
+                    startedAt: Date.now(),
+                    finishedAt: null,
+                    requiresApproval: false,
+                    decision: null
+                };
+                tracker.calls.set(index, call);
+                this.startTimer(tracker);
+            }
+
+            if (delta.id) call.id = delta.id;
+            if (delta.function?.name) call.name += delta.function.name;
+            if (delta.function?.arguments) call.arguments += delta.function.arguments;
+
+            if (!call.decision && (delta.requires_approval || this.collaborationTools.includes(call.name))) {
+                call.requiresApproval = true;
+                call.status = 'awaiting';
+            }
+
+            this.renderTrackedCall(tracker, index);
+        });
+    },
+
+    /**
+     * Apply a tool result (role: 'tool' delta) to its call
+     */
+    applyResult(tracker, toolCallId, content, isError = false) {
+        for (const [index, call] of tracker.calls) {
+            if (call.id !== toolCallId) continue;
+
+            call.result = (call.result || '') + (content || '');
+            call.status = isError ? 'error' : 'success';
+            call.finishedAt = call.finishedAt || Date.now();
+            this.renderTrackedCall(tracker, index);
+            return;
+        }
+        console.warn('[ToolCards] Result for unknown tool call:', toolCallId);
+    },
+
+    /**
+     * Settle calls still in flight when the stream ends
+     * status: 'success' on normal completion, 'error' when stopped or failed
+     */
+    finish(tracker, status = 'success') {
+        this.stopTimer(tracker);
+
+        tracker.calls.forEach((call, index) => {
+            if (call.status === 'running' || (call.status === 'awaiting' && status === 'error')) {
+                call.status = status;
+                call.finishedAt = Date.now();
+                this.renderTrackedCall(tracker, index);
+            }
+        });
+    },
+
+    /**
+     * Call records for storing with the message (the tracked records themselves,
+     * so a decision made after the response ended lands in the message too)
+     */
+    serialize(tracker) {
+        return Array.from(tracker.calls.values());
+    },
+
+    /**
+     * Call records for localStorage, with long results shortened
+     */
+    forStorage(calls) {
+        return calls.map(call => {
+            if (typeof call.result !== 'string' || call.result.length <= this.maxStoredResult) return call;
+            return { ...call, result: call.result.slice(0, this.maxStoredResult) + '\n… (truncated)' };
+        });
+    },
+
+    /**
+     * Render stored tool calls into a message. Calls still waiting for a
+     * decision get their controls when onDecision is given, called once the
+     * decision is sent so it can be stored
+     */
+    renderStored(messageEl, calls, onDecision = null) {
+        if (!Array.isArray(calls) || calls.length === 0) return;
+
+        const container = this.getContainer(messageEl);
+        calls.forEach(call => {
+            container.appendChild(this.createCard(call, !!onDecision, onDecision));
+        });
+    },
+
+    /**
+     * Re-render one tracked call in place
+     */
+    renderTrackedCall(tracker, index) {
+        const call = tracker.calls.get(index);
+        const card = this.createCard(call, true, () => tracker.onDecision?.(call));
+        const existing = tracker.elements.get(index);
+
+        // Keep the user's expand/collapse choices across re-renders
+        if (existing) {
+            existing.querySelectorAll('details[data-section]').forEach(section => {
+                const replacement = card.querySelector(`details[data-section="${section.dataset.section}"]`);
+                if (replacement) replacement.open = section.open;
+            });
+
+            // Don't clobber a reply the user is typing
+            if (existing.querySelector('.tool-card-approval') && card.querySelector('.tool-card-approval')) {
+                this.updateCardHeader(existing, call);
+                const args = existing.querySelector('details[data-section="arguments"]');
+                const newArgs = card.querySelector('details[data-section="arguments"]');
+                if (args) {
+                    args.querySelector('pre').textContent = this.formatJSON(call.arguments);
+                } else if (newArgs) {
+                    existing.querySelector('.tool-card-approval').before(newArgs);
+                }
+                return;
+            }
+            existing.replaceWith(card);
+        } else {
+            this.getContainer(tracker.messageEl).appendChild(card);
+        }
+
+        tracker.elements.set(index, card);
+    },
+
+    /**
+     * Build a tool card element
+     */
+    createCard(call, interactive, onDecision = null) {
+        const card = document.createElement('div');
+        card.className = `tool-card ${call.status}`;
+
+        const header = document.createElement('div');
+        header.className = 'tool-card-header';
+        card.appendChild(header);
+        this.updateCardHeader(card, call);
+
+        // Arguments (open while waiting for approval so the user sees what they approve)
+        if (call.arguments) {
+            card.appendChild(this.createSection('arguments', 'Arguments', this.formatJSON(call.arguments), call.status === 'awaiting'));
+        }
+
+        // Result
+        if (call.result) {
+            card.appendChild(this.createSection('result', 'Result', this.formatJSON(call.result), false));
+        }
+
+        // Decision already made
+        if (call.decision) {
+            card.appendChild(this.createDecision(call));
+        } else if (interactive && call.status === 'awaiting' && call.id) {
+            card.appendChild(this.createApprovalControls(card, call, onDecision));
+        }
+
+        return card;
+    },
+
+    /**
+     * Update icon, name, status and duration in a card header
+     */
+    updateCardHeader(card, call) {
+        const header = card.querySelector('.tool-card-header');
+        const icons = { running: '⚙️', awaiting: '✋', success: '✅', error: '❌' };
+
+        header.innerHTML = `
+            <div class="tool-card-icon ${call.status}">${icons[call.status] || '⚙️'}</div>
+            <div class="tool-card-name">${Markdown.escapeHtml(call.name || 'Tool')}</div>
+            <span class="tool-card-duration">${this.formatDuration(call)}</span>
+            <span class="tool-card-status ${call.status}">${call.status}</span>
+        `;
+    },
+
+    /**
+     * Create a collapsible card section
+     */
+    createSection(key, label, text, open) {
+        const section = document.createElement('details');
+        section.className = 'tool-card-section';
+        section.dataset.section = key;
+        section.open = open;
+
+        const summary = document.createElement('summary');
+        summary.textContent = label;
+
+        const pre = document.createElement('pre');
+        pre.className = 'tool-card-details';
+        pre.textContent = text;
+
+        section.appendChild(summary);
+        section.appendChild(pre);
+        return section;
+    },
+
+    /**
+     * Approve / Deny / Reply controls for user collaboration tools
+     */
+    createApprovalControls(card, call, onDecision = null) {
+        const controls = document.createElement('div');
+        controls.className = 'tool-card-approval';
+        controls.innerHTML = `
+            <textarea class="form-input tool-card-reply" rows="2" placeholder="Reply to SAM (optional)"></textarea>
+            <div class="tool-card-approval-actions">
+                <button class="btn btn-sm btn-danger" data-action="deny">Deny</button>
+                <button class="btn btn-sm btn-secondary" data-action="reply">Reply</button>
+                <button class="btn btn-sm btn-success" data-action="approve">Approve</button>
+            </div>
+        `;
+
+        const reply = controls.querySelector('.tool-card-reply');
+        controls.querySelectorAll('button').forEach(button => {
+            button.addEventListener('click', async () => {
+                const action = button.dataset.action;
+                const userResponse = reply.value.trim();
+
+                if (action === 'reply' && !userResponse) {
+                    Toast.warning('Type a reply first');
+                    reply.focus();
+                    return;
+                }
+
+                controls.querySelectorAll('button, textarea').forEach(el => el.disabled = true);
+                const approved = action !== 'deny';
+
+                try {
+                    await this.submitDecision(call, approved, userResponse || null);
+
+                    // Swap controls for the recorded decision (in place, so stream updates still find the card)
+                    controls.replaceWith(this.createDecision(call));
+                    card.className = `tool-card ${call.status}`;
+                    this.updateCardHeader(card, call);
+                    onDecision?.(call);
+                } catch (error) {
+                    controls.querySelectorAll('button, textarea').forEach(el => el.disabled = false);
+                }
+            });
+        });
+
+        return controls;
+    },
+
+    /**
+     * Show the decision recorded for a collaboration tool
+     */
+    createDecision(call) {
+        const decision = document.createElement('div');
+        decision.className = `tool-card-decision ${call.decision}`;
+        decision.textContent = call.decision === 'approved' ? 'Approved' : 'Denied';
+        if (call.userResponse) {
+            decision.textContent += `: ${call.userResponse}`;
+        }
+        return decision;
+    },
+
+    /**
+     * Post the user's decision for a collaboration tool
+     */
+    async submitDecision(call, approved, userResponse) {
+        try {
+            await API.submitToolResponse(call.id, approved, userResponse);
+
+            call.decision = approved ? 'approved' : 'denied';
+            call.userResponse = userResponse;
+            call.status = approved ? 'running' : 'error';
+            if (!approved) call.finishedAt = Date.now();
+
+            console.log('[ToolCards] Submitted decision for', call.id, call.decision);
+        } catch (error) {
+            console.error('[ToolCards] Failed to submit tool response:', error);
+            Toast.error('Failed to send tool response: ' + error.message);
+            throw error;
+        }
+    },
+
+    /**
+     * Tick durations of running calls once a second
+     */
+    startTimer(tracker) {
+        if (tracker.timer) return;
+
+        tracker.timer = setInterval(() => {
+            tracker.calls.forEach((call, index) => {
+                const card = tracker.elements.get(index);
+                if (!card || call.finishedAt) return;
+                const duration = card.querySelector('.tool-card-duration');
+                if (duration) duration.textContent = this.formatDuration(call);
+            });
+        }, 1000);
+    },
+
+    stopTimer(tracker) {
+        if (tracker.timer) {
+            clearInterval(tracker.timer);
+            tracker.timer = null;
+        }
+    },
+
+    /**
+     * Format elapsed time for a call
+     */
+    formatDuration(call) {
+        const end = call.finishedAt || Date.now();
+        const ms = Math.max(0, end - call.startedAt);
+        return ms < 1000 ? `${ms}ms` : `${(ms / 1000).toFixed(1)}s`;
+    },
+
+    /**
+     * Pretty-print JSON strings, falling back to raw text (partial arguments while streaming)
+     */
+    formatJSON(text) {
+        try {
+            return JSON.stringify(JSON.parse(text), null, 2);
+        } catch (e) {
+            return text;
+        }
+    }
+};
@@ -0,0 +1,338 @@
+// SPDX-License-Identifier: GPL-3.0-only
+// SPDX-FileCopyrightText: Copyright (c) 2026 Andrew Wyatt (Fewtarius)
+
+/**
+ * Trash for SAM-Web
+ * Deleting a conversation hides it right away with an Undo toast; once the
+ * undo window passes it is moved to the Trash on the server (trashedAt).
+ * The Trash view restores or permanently deletes, and trashed conversations
+ * are emptied automatically after a configurable number of days.
+ *
+ * Pending deletes are also kept in localStorage (per tab), so one whose undo
+ * window was cut short by closing the page is finished on the next load.
+ */
+
+const Trash = {
+    // State
+    pending: null,          // { ids, timer, toast } while the undo window is open
+    undoWindow: 6000,
+    retentionDays: 30,      // 0 = never empty automatically
+    retentionOptions: [7, 30, 90, 0],
+    pendingKey: 'sam-web-trash-pending',    // tabId -> { ids, deadline }
+
+    /**
+     * Restore settings and empty expired conversations
+     */
+    async init() {
+        const saved = localStorage.getItem('sam-web-trash-retention');
+        if (saved !== null && this.retentionOptions.includes(parseInt(saved, 10))) {
+            this.retentionDays = parseInt(saved, 10);
+        }
+
+        // Finish deletes that were still waiting out the undo window when a page closed
+        await this.commitStored();
+
+        await this.emptyExpired();
+    },
+
+    /**
+     * Whether a conversation is in the trash
+     */
+    isTrashed(conversation) {
+        return !!conversation.trashedAt;
+    },
+
+    /**
+     * Whether a conversation is hidden while its delete can still be undone
+     */
+    isPending(conversationId) {
+        return !!this.pending && this.pending.ids.includes(conversationId);
+    },
+
+    /**
+     * Trashed conversations, most recently deleted first
+     */
+    getConversations() {
+        return Conversations.conversations
+            .filter(c => this.isTrashed(c))
+            .sort((a, b) => new Date(b.trashedAt) - new Date(a.trashedAt));
+    },
+
+    /**
+     * Delete conversations: hide now, move to the trash when the undo window ends
+     */
+    async moveToTrash(conversationIds) {
+        if (conversationIds.length === 0) return;
+
+        // Only one undo window at a time - finish the previous delete first
+        await this.commit();
+
+        const count = conversationIds.length;
+        this.storePending(conversationIds, Date.now() + this.undoWindow);
+        this.pending = {
+            ids: conversationIds,
+            timer: setTimeout(() => this.commit(), this.undoWindow),
+            toast: Toast.action(
+                count === 1 ? 'Conversation moved to Trash' : `${count} conversations moved to Trash`,
+                'Undo',
+                () => this.undo(),
+                'success',
+                this.undoWindow
+            )
+        };
+
+        Conversations.renderConversationList();
+    },
+
+    /**
+     * Bring back conversations hidden by the pending delete
+     */
+    undo() {
+        if (!this.pending) return;
+
+        clearTimeout(this.pending.timer);
+        this.pending = null;
+        this.storePending(null);
+
+        Conversations.renderConversationList();
+        Toast.info('Delete undone');
+    },
+
+    /**
+     * Commit the pending delete: mark the conversations trashed on the server
+     */
+    async commit() {
+        if (!this.pending) return;
+
+        const { ids, timer, toast } = this.pending;
+        clearTimeout(timer);
+        Toast.close(toast);
+        this.pending = null;
+
+        await this.trash(ids);
+
+        // Kept until the server has it, in case the page closes while saving
+        this.storePending(null);
+    },
+
+    /**
+     * Mark conversations trashed on the server
+     */
+    async trash(ids) {
+        const trashedAt = new Date().toISOString();
+        const conversations = Conversations.conversations.filter(c => ids.includes(c.id) && !this.isTrashed(c));
+        if (conversations.length === 0) return;
+
+        const result = await BulkActions.run('Deleting', conversations, async (conversation) => {
+            await API.updateConversation(conversation.id, { trashedAt, pinned: false });
+            conversation.trashedAt = trashedAt;
+            conversation.pinned = false;
+        });
+
+        if (result.failed.length > 0) {
+            BulkActions.report('Moved to Trash:', result);
+        }
+
+        await this.leaveIfActive(result.succeeded.map(c => c.id));
+        Conversations.renderConversationList();
+    },
+
+    /**
+     * Remember this tab's pending delete (null once it is committed or undone)
+     */
+    storePending(ids, deadline) {
+        const stored = this.loadStored();
+        if (ids) {
+            stored[TabSync.tabId] = { ids, deadline };
+        } else {
+            delete stored[TabSync.tabId];
+        }
+        this.saveStored(stored);
+    },
+
+    /**
+     * Commit pending deletes left by closed pages. One whose undo window hasn't
+     * ended yet may belong to another open tab - check again once it has
+     */
+    async commitStored() {
+        const stored = this.loadStored();
+        const now = Date.now();
+        const due = [];
+        let next = null;
+
+        Object.entries(stored).forEach(([tabId, entry]) => {
+            if (tabId === TabSync.tabId) return;
+            if (entry.deadline <= now) {
+                due.push(tabId);
+            } else {
+                next = next === null ? entry.deadline : Math.min(next, entry.deadline);
+            }
+        });
+
+        if (next !== null) {
+            setTimeout(() => this.commitStored(), next - now + 1000);
+        }
+        if (due.length === 0) return;
+
+        console.log('[Trash] Finishing', due.length, 'interrupted delete(s)');
+        await this.trash(due.flatMap(tabId => stored[tabId].ids));
+
+        const remaining = this.loadStored();
+        due.forEach(tabId => delete remaining[tabId]);
+        this.saveStored(remaining);
+    },
+
+    loadStored() {
+        try {
+            return JSON.parse(localStorage.getItem(this.pendingKey) || '{}');
+        } catch (e) {
+            console.error('[Trash] Failed to parse pending deletes:', e);
+            return {};
+        }
+    },
+
+    saveStored(stored) {
+        if (Object.keys(stored).length === 0) {
+            localStorage.removeItem(this.pendingKey);
+        } else {
+            localStorage.setItem(this.pendingKey, JSON.stringify(stored));
+        }
+    },
+
+    /**
+     * Restore conversations from the trash
+     * fromSelection: started from the bulk action bar
+     */
+    async restore(conversationIds, fromSelection = false) {
+        const conversations = Conversations.conversations.filter(c => conversationIds.includes(c.id));
+
+        const result = await BulkActions.run('Restoring', conversations, async (conversation) => {
+            await API.updateConversation(conversation.id, { trashedAt: null });
+            conversation.trashedAt = null;
+        }, fromSelection);
+
+        Conversations.renderConversationList();
+        BulkActions.report('Restored', result);
+    },
+
+    /**
+     * Permanently delete conversations (asks first)
+     */
+    async confirmDeletePermanently(conversationIds, fromSelection = false) {
+        const count = conversationIds.length;
+        if (count === 0) return;
+
+        const message = count === 1
+            ? 'Permanently delete this conversation? This cannot be undone.'
+            : `Permanently delete ${count} conversations? This cannot be undone.`;
+
+        if (confirm(message)) {
+            await this.deletePermanently(conversationIds, false, fromSelection);
+        }
+    },
+
+    /**
+     * Permanently delete conversations on the server
+     */
+    async deletePermanently(conversationIds, quiet = false, fromSelection = false) {
+        const conversations = Conversations.conversations.filter(c => conversationIds.includes(c.id));
+
+        const result = await BulkActions.run('Deleting', conversations, async (conversation) => {
+            await API.deleteConversation(conversation.id);
+            Usage.remove(conversation.id);
+            MessageMeta.remove(conversation.id);
+            ContextWindow.remove(conversation.id);
+            Branches.forget(conversation.id);
+            ConversationFork.forget(conversation.id);
+            Streams.cancel(conversation.id);
+        }, fromSelection);
+
+        const deleted = new Set(result.succeeded.map(c => c.id));
+        Conversations.conversations = Conversations.conversations.filter(c => !deleted.has(c.id));
+
+        await this.leaveIfActive(Array.from(deleted));
+        Conversations.renderConversationList();
+
+        if (!quiet || result.failed.length > 0) {
+            BulkActions.report('Permanently deleted', result);
+        }
+    },
+
+    /**
+     * Empty the whole trash (asks first)
+     */
+    async empty() {
+        const ids = this.getConversations().map(c => c.id);
+        if (ids.length === 0) {
+            Toast.info('Trash is already empty');
+            return;
+        }
+        await this.confirmDeletePermanently(ids);
+    },
+
+    /**
+     * Permanently delete conversations trashed longer than the retention period
+     */
+    async emptyExpired() {
+        if (this.retentionDays === 0) return;
+
+        const cutoff = Date.now() - this.retentionDays * 86400000;
+        const expired = this.getConversations().filter(c => new Date(c.trashedAt).getTime() < cutoff);
+        if (expired.length === 0) return;
+
+        console.log('[Trash] Emptying', expired.length, 'expired conversations');
+        await this.deletePermanently(expired.map(c => c.id), true);
+    },
+
+    /**
+     * Change the auto-empty period
+     */
+    setRetention(days) {
+        this.retentionDays = days;
+        localStorage.setItem('sam-web-trash-retention', String(days));
+        this.emptyExpired();
+    },
+
+    /**
+     * The open conversation was deleted - load another or start a new one
+     */
+    async leaveIfActive(conversationIds) {
+        if (!conversationIds.includes(Conversations.activeConversationId)) return;
+
+        const next = Conversations.conversations.find(c => !this.isTrashed(c) && !c.archived);
+        if (next) {
+            await Conversations.loadConversation(next.id);
+        } else {
+            await Conversations.createConversation();
+        }
+    },
+
+    /**
+     * Header shown above the list in the Trash view
+     */
+    renderHeader(container) {
+        const header = document.createElement('div');
+        header.className = 'trash-header';
+
+        const options = this.retentionOptions.map(days => `
+            <option value="${days}" ${days === this.retentionDays ? 'selected' : ''}>
+                ${days === 0 ? 'Never' : `After ${days} days`}
+            </option>
+        `).join('');
+
+        header.innerHTML = `
+            <label class="trash-retention">
+                <span>Auto-empty</span>
+                <select class="form-select">${options}</select>
+            </label>
+            <button class="btn btn-ghost btn-sm trash-empty-btn">Empty Trash</button>
+        `;
+
+        header.querySelector('select').addEventListener('change', (e) => {
+            this.setRetention(parseInt(e.target.value, 10));
+        });
+        header.querySelector('.trash-empty-btn').addEventListener('click', () => this.empty());
+
+        container.appendChild(header);
+    }
+};
@@ -0,0 +1,389 @@
+// SPDX-License-Identifier: GPL-3.0-only
+// SPDX-FileCopyrightText: Copyright (c) 2026 Andrew Wyatt (Fewtarius)
+
+/**
+ * Token Usage and Cost Tracking for SAM-Web
+ * Records `usage` reported by SAM (final streaming chunk or non-stream response)
+ * per assistant message, totals it per conversation and prices it with a
+ * user-editable price table (USD per 1M tokens, matched by model pattern)
+ *
+ * Usage is stored client-side, keyed by conversation ID and message position,
+ * since the server doesn't keep it with the conversation. Positions follow the
+ * active branch (rewritten whenever it changes); everything a conversation
+ * generated, on any branch, is also added to per-model totals so its cost
+ * includes replies that were regenerated, edited away or not picked
+ */
+
+const Usage = {
+    // Price table: first matching pattern wins (* matches anything)
+    defaultPrices: [
+        { pattern: 'github_copilot/*', input: 0, output: 0 },
+        { pattern: 'openai/gpt-4o-mini*', input: 0.15, output: 0.60 },
+        { pattern: 'openai/gpt-4o*', input: 2.50, output: 10.00 },
+        { pattern: 'anthropic/*sonnet*', input: 3.00, output: 15.00 },
+        { pattern: 'anthropic/*haiku*', input: 0.80, output: 4.00 }
+    ],
+    prices: [],
+
+    // conversationId -> { [messageIndex]: { promptTokens, completionTokens, totalTokens, model } }
+    records: {},
+    // conversationId -> { [model]: { promptTokens, completionTokens, totalTokens } } (all branches)
+    spent: {},
+    maxConversations: 500,
+
+    /**
+     * Load price table and stored usage
+     */
+    init() {
+        this.prices = this.defaultPrices.map(price => ({ ...price }));
+        const savedPrices = localStorage.getItem('sam-web-price-table');
+        if (savedPrices) {
+            try {
+                this.prices = JSON.parse(savedPrices);
+            } catch (e) {
+                console.error('[Usage] Failed to parse price table:', e);
+            }
+        }
+
+        const savedRecords = localStorage.getItem('sam-web-usage');
+        if (savedRecords) {
+            try {
+                this.records = JSON.parse(savedRecords);
+            } catch (e) {
+                console.error('[Usage] Failed to parse usage records:', e);
+            }
+        }
+
+        const savedSpent = localStorage.getItem('sam-web-usage-totals');
+        if (savedSpent) {
+            try {
+                this.spent = JSON.parse(savedSpent);
+            } catch (e) {
+                console.error('[Usage] Failed to parse usage totals:', e);
+            }
+        }
+
+        // Conversations recorded before totals were kept: start from their messages
+        Object.entries(this.records).forEach(([conversationId, record]) => {
+            if (this.spent[conversationId]) return;
+            Object.values(record).forEach(usage => this.addSpent(conversationId, usage, usage.model));
+        });
+
+        this.setupUI();
+    },
+
+    /**
+     * Set up pricing modal listeners
+     */
+    setupUI() {
+        const modal = document.getElementById('pricingModal');
+        if (!modal) return;
+
+        modal.querySelector('.modal-close').addEventListener('click', () => this.closePricing());
+        modal.addEventListener('click', (e) => {
+            if (e.target === modal) this.closePricing();
+        });
+
+        document.getElementById('pricingAddRowBtn').addEventListener('click', () => {
+            document.getElementById('pricingTableBody').appendChild(this.createPriceRow({ pattern: '', input: 0, output: 0 }));
+        });
+
+        document.getElementById('pricingResetBtn').addEventListener('click', () => {
+            this.renderPriceTable(this.defaultPrices);
+        });
+
+        document.getElementById('pricingSaveBtn').addEventListener('click', () => this.savePricesFromTable());
+    },
+
+    /**
+     * Normalize a usage object (OpenAI and input/output naming)
+     * Returns null when there is nothing to record
+     */
+    normalize(usage) {
+        if (!usage) return null;
+
+        const promptTokens = usage.prompt_tokens ?? usage.input_tokens ?? usage.promptTokens ?? 0;
+        const completionTokens = usage.completion_tokens ?? usage.output_tokens ?? usage.completionTokens ?? 0;
+        const totalTokens = usage.total_tokens ?? usage.totalTokens ?? (promptTokens + completionTokens);
+
+        if (!promptTokens && !completionTokens && !totalTokens) return null;
+        return { promptTokens, completionTokens, totalTokens };
+    },
+
+    /**
+     * Find the price entry for a model (null when unpriced)
+     */
+    getPrice(model) {
+        if (!model) return null;
+
+        return this.prices.find(price => {
+            if (!price.pattern) return false;
+            const regex = new RegExp('^' + price.pattern
+                .replace(/[.+?^${}()|[\]\\]/g, '\\$&')
+                .replace(/\*/g, '.*') + '$', 'i');
+            return regex.test(model);
+        }) || null;
+    },
+
+    /**
+     * Cost in USD for one usage record (null when the model has no price)
+     */
+    getCost(usage, model) {
+        const price = this.getPrice(model);
+        if (!price || !usage) return null;
+
+        return (usage.promptTokens * price.input + usage.completionTokens * price.output) / 1000000;
+    },
+
+    /**
+     * Record usage for a new assistant message
+     */
+    record(conversationId, messageIndex, usage, model) {
+        if (!conversationId || !usage) return;
+
+        const record = this.touch(conversationId);
+        record[messageIndex] = { ...usage, model };
+        this.addSpent(conversationId, usage, model);
+        this.save();
+    },
+
+    /**
+     * Count usage towards a conversation's cost without recording it for a
+     * message (e.g. every answer of a comparison, picked or not)
+     */
+    addToTotals(conversationId, usage, model) {
+        if (!conversationId || !usage) return;
+
+        this.touch(conversationId);
+        this.addSpent(conversationId, usage, model);
+        this.save();
+    },
+
+    addSpent(conversationId, usage, model) {
+        const spent = this.spent[conversationId] || {};
+        const key = model || '';
+        const entry = spent[key] || { promptTokens: 0, completionTokens: 0, totalTokens: 0 };
+        entry.promptTokens += usage.promptTokens;
+        entry.completionTokens += usage.completionTokens;
+        entry.totalTokens += usage.totalTokens;
+        spent[key] = entry;
+        this.spent[conversationId] = spent;
+    },
+
+    /**
+     * Re-key usage to the messages on the active branch (after an edit,
+     * regenerate or branch switch). Totals are left as they are
+     */
+    recordPath(conversationId, messages) {
+        if (!conversationId) return;
+
+        const record = {};
+        messages.forEach((message, index) => {
+            if (message.usage) record[index] = message.usage;
+        });
+
+        this.touch(conversationId);
+        this.records[conversationId] = record;
+        this.save();
+    },
+
+    /**
+     * Attach stored usage to loaded messages that don't carry their own
+     */
+    restorePath(conversationId, messages) {
+        messages.forEach((message, index) => {
+            const usage = this.getMessageUsage(conversationId, index);
+            if (usage && !message.usage) message.usage = usage;
+        });
+    },
+
+    /**
+     * A conversation's usage record, moved to the end so the most recently
+     * used conversations are kept when trimming
+     */
+    touch(conversationId) {
+        const record = this.records[conversationId] || {};
+        delete this.records[conversationId];
+        this.records[conversationId] = record;
+        return record;
+    },
+
+    /**
+     * Stored usage for a message (null when none was recorded)
+     */
+    getMessageUsage(conversationId, messageIndex) {
+        return this.records[conversationId]?.[messageIndex] || null;
+    },
+
+    /**
+     * Totals for a conversation across all of its branches
+     * cost only covers priced models; unpriced is true when some messages had no price
+     */
+    getTotals(conversationId) {
+        const totals = { promptTokens: 0, completionTokens: 0, totalTokens: 0, cost: 0, unpriced: false };
+        const spent = this.spent[conversationId];
+        if (!spent) return totals;
+
+        Object.entries(spent).forEach(([model, usage]) => {
+            totals.promptTokens += usage.promptTokens;
+            totals.completionTokens += usage.completionTokens;
+            totals.totalTokens += usage.totalTokens;
+
+            const cost = this.getCost(usage, model);
+            if (cost === null) {
+                totals.unpriced = true;
+            } else {
+                totals.cost += cost;
+            }
+        });
+
+        return totals;
+    },
+
+    /**
+     * Forget usage for a deleted conversation
+     */
+    remove(conversationId) {
+        if (this.records[conversationId] || this.spent[conversationId]) {
+            delete this.records[conversationId];
+            delete this.spent[conversationId];
+            this.save();
+        }
+    },
+
+    /**
+     * Add a token count to a message header, with the breakdown on hover
+     */
+    renderBadge(messageEl, usage) {
+        if (!usage) return;
+
+        const header = messageEl.querySelector('.message-header');
+        if (!header) return;
+
+        let badge = header.querySelector('.message-usage');
+        if (!badge) {
+            badge = document.createElement('span');
+            badge.className = 'message-usage';
+            header.appendChild(badge);
+        }
+
+        badge.textContent = `${this.formatTokens(usage.totalTokens)} tokens`;
+
+        // Priced on hover so edits to the price table show up without re-rendering
+        badge.onmouseenter = () => {
+            badge.title = this.describe(usage, this.getCost(usage, usage.model));
+        };
+    },
+
+    /**
+     * Multi-line token/cost breakdown for tooltips
+     */
+    describe(usage, cost) {
+        const lines = [
+            `Prompt: ${usage.promptTokens.toLocaleString()} tokens`,
+            `Completion: ${usage.completionTokens.toLocaleString()} tokens`,
+            `Total: ${usage.totalTokens.toLocaleString()} tokens`
+        ];
+        if (usage.model) {
+            lines.push(`Model: ${usage.model}`);
+        }
+        lines.push(cost === null ? 'Cost: no price set for this model' : `Cost: ${this.formatCost(cost)}`);
+        return lines.join('\n');
+    },
+
+    /**
+     * Open the price table editor
+     */
+    openPricing() {
+        const modal = document.getElementById('pricingModal');
+        if (!modal) return;
+
+        this.renderPriceTable(this.prices);
+        modal.style.display = 'flex';
+    },
+
+    closePricing() {
+        const modal = document.getElementById('pricingModal');
+        if (modal) modal.style.display = 'none';
+    },
+
+    /**
+     * Render editable rows for a price table
+     */
+    renderPriceTable(prices) {
+        const body = document.getElementById('pricingTableBody');
+        body.innerHTML = '';
+        prices.forEach(price => body.appendChild(this.createPriceRow(price)));
+    },
+
+    createPriceRow(price) {
+        const row = document.createElement('tr');
+        row.innerHTML = `
+            <td><input type="text" class="form-input pricing-pattern" placeholder="provider/model-*"></td>
+            <td><input type="number" class="form-input pricing-input" min="0" step="0.01"></td>
+            <td><input type="number" class="form-input pricing-output" min="0" step="0.01"></td>
+            <td><button type="button" class="btn btn-ghost btn-sm" title="Remove">✕</button></td>
+        `;
+
+        row.querySelector('.pricing-pattern').value = price.pattern;
+        row.querySelector('.pricing-input').value = price.input;
+        row.querySelector('.pricing-output').value = price.output;
+        row.querySelector('button').addEventListener('click', () => row.remove());
+        return row;
+    },
+
+    /**
+     * Save the edited price table
+     */
+    savePricesFromTable() {
+        const rows = document.querySelectorAll('#pricingTableBody tr');
+        this.prices = Array.from(rows)
+            .map(row => ({
+                pattern: row.querySelector('.pricing-pattern').value.trim(),
+                input: parseFloat(row.querySelector('.pricing-input').value) || 0,
+                output: parseFloat(row.querySelector('.pricing-output').value) || 0
+            }))
+            .filter(price => price.pattern);
+
+        localStorage.setItem('sam-web-price-table', JSON.stringify(this.prices));
+        this.closePricing();
+        Toast.success('Prices saved');
+
+        if (window.onPricesChanged) {
+            window.onPricesChanged();
+        }
+    },
+
+    /**
+     * Persist usage records and totals (oldest conversations dropped past the cap)
+     */
+    save() {
+        const ids = Object.keys(this.records);
+        if (ids.length > this.maxConversations) {
+            ids.slice(0, ids.length - this.maxConversations).forEach(id => {
+                delete this.records[id];
+                delete this.spent[id];
+            });
+        }
+        localStorage.setItem('sam-web-usage', JSON.stringify(this.records));
+        localStorage.setItem('sam-web-usage-totals', JSON.stringify(this.spent));
+    },
+
+    /**
+     * Format token counts (1234 -> 1.2k)
+     */
+    formatTokens(count) {
+        if (count >= 1000000) return `${(count / 1000000).toFixed(1)}M`;
+        if (count >= 1000) return `${(count / 1000).toFixed(1)}k`;
+        return String(count);
+    },
+
+    /**
+     * Format USD (extra precision for fractions of a cent)
+     */
+    formatCost(cost) {
+        if (cost === 0) return '$0.00';
+        if (cost < 0.01) return `$${cost.toFixed(4)}`;
+        return `$${cost.toFixed(2)}`;
+    }
+};
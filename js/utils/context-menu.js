@@ -0,0 +1,107 @@
+// SPDX-License-Identifier: GPL-3.0-only
+// SPDX-FileCopyrightText: Copyright (c) 2026 Andrew Wyatt (Fewtarius)
+
+/**
+ * Context Menu
+ * Small popup menu for item actions (right-click or "more" buttons)
+ *
+ * Items: { label, icon, action, danger, disabled, indent } or { separator: true }
+ * or { heading: 'Text' } for a non-clickable group label
+ */
+
+const ContextMenu = {
+    menu: null,
+
+    /**
+     * Show a menu at viewport coordinates
+     */
+    show(x, y, items) {
+        this.close();
+
+        const menu = document.createElement('div');
+        menu.className = 'context-menu';
+        menu.setAttribute('role', 'menu');
+
+        items.forEach(item => {
+            if (item.separator) {
+                const separator = document.createElement('div');
+                separator.className = 'context-menu-separator';
+                menu.appendChild(separator);
+                return;
+            }
+
+            if (item.heading) {
+                const heading = document.createElement('div');
+                heading.className = 'context-menu-heading';
+                heading.textContent = item.heading;
+                menu.appendChild(heading);
+                return;
+            }
+
+            const button = document.createElement('button');
+            button.type = 'button';
+            button.className = 'context-menu-item';
+            button.setAttribute('role', 'menuitem');
+            if (item.danger) button.classList.add('danger');
+            button.disabled = !!item.disabled;
+            if (item.indent) button.style.setProperty('--menu-indent', item.indent);
+            button.textContent = item.icon ? `${item.icon} ${item.label}` : item.label;
+            button.addEventListener('click', (e) => {
+                e.stopPropagation();
+                this.close();
+                item.action();
+            });
+            menu.appendChild(button);
+        });
+
+        document.body.appendChild(menu);
+
+        // Keep inside the viewport
+        const left = Math.min(x, window.innerWidth - menu.offsetWidth - 8);
+        const top = Math.min(y, window.innerHeight - menu.offsetHeight - 8);
+        menu.style.left = `${Math.max(8, left)}px`;
+        menu.style.top = `${Math.max(8, top)}px`;
+
+        this.menu = menu;
+        setTimeout(() => {
+            document.addEventListener('click', this.handleOutside);
+            document.addEventListener('contextmenu', this.handleOutside);
+            // Capture phase, so Esc closes the menu before the page's shortcuts see it
+            document.addEventListener('keydown', this.handleKey, true);
+        }, 0);
+    },
+
+    /**
+     * Show a menu below an element
+     */
+    showBelow(anchor, items) {
+        const rect = anchor.getBoundingClientRect();
+        this.show(rect.left, rect.bottom + 4, items);
+    },
+
+    /**
+     * Close the open menu
+     */
+    close() {
+        if (this.menu) {
+            this.menu.remove();
+            this.menu = null;
+        }
+        document.removeEventListener('click', this.handleOutside);
+        document.removeEventListener('contextmenu', this.handleOutside);
+        document.removeEventListener('keydown', this.handleKey, true);
+    },
+
+    handleOutside: (e) => {
+        if (ContextMenu.menu && !ContextMenu.menu.contains(e.target)) {
+            ContextMenu.close();
+        }
+    },
+
+    handleKey: (e) => {
+        if (e.key === 'Escape') {
+            e.stopImmediatePropagation();
+            ContextMenu.close();
+        }
+    }
+};
@@ -89,6 +89,25 @@ const Toast = {
         return this.show(message, 'info', duration);
     },
 
+    /**
+     * Show a toast with an action button (e.g. "Undo")
+     * The toast closes when the action is clicked or the duration ends
+     */
+    action(message, label, onAction, type = 'info', duration = 8000) {
+        const toast = this.show(message, type, duration);
+
+        const button = document.createElement('button');
+        button.className = 'toast-action';
+        button.textContent = label;
+        button.onclick = () => {
+            onAction();
+            this.close(toast);
+        };
+        toast.insertBefore(button, toast.querySelector('.toast-close'));
+
+        return toast;
+    },
+
     /**
      * Escape HTML to prevent XSS
      */
@@ -0,0 +1,473 @@
+// SPDX-License-Identifier: GPL-3.0-only
+// SPDX-FileCopyrightText: Copyright (c) 2026 Andrew Wyatt (Fewtarius)
+
+/**
+ * Autonomous Workflows for SAM-Web
+ * Launches goals via SAM's autonomous mode and monitors their progress:
+ * step timeline, tool calls, status, and pause/resume/stop controls.
+ * Workflows are tied to the conversation (session) that launched them.
+ */
+
+const Workflows = {
+    // State
+    autonomousMode: false,
+    workflows: {},          // workflowId -> { id, goal, sessionId, status, startedAt, steps, toolCalls, result, error }
+    activeWorkflowId: null, // Workflow shown in the monitor
+    pollTimer: null,
+    pollInterval: 1500,
+    maxPollInterval: 30000,
+    pollFailures: {},       // workflowId -> consecutive failed status checks
+    maxPollFailures: 8,     // Then the workflow is marked failed (about 2 minutes with backoff)
+
+    // Statuses after which the workflow will not change anymore
+    terminalStatuses: ['completed', 'complete', 'failed', 'error', 'stopped', 'cancelled'],
+
+    /**
+     * Initialize workflows system
+     * Restores known workflows and resumes polling of running ones
+     */
+    init() {
+        const saved = localStorage.getItem('sam-web-workflows');
+        if (saved) {
+            try {
+                JSON.parse(saved).forEach(workflow => {
+                    this.workflows[workflow.id] = { steps: [], toolCalls: [], ...workflow };
+                });
+            } catch (e) {
+                console.error('[Workflows] Failed to parse saved workflows:', e);
+            }
+        }
+
+        this.setupUI();
+
+        if (this.getRunningWorkflows().length > 0) {
+            this.startPolling();
+        }
+    },
+
+    /**
+     * Set up composer toggle and monitor listeners
+     */
+    setupUI() {
+        const toggle = document.getElementById('autonomousToggle');
+        if (toggle) {
+            toggle.addEventListener('change', () => this.setAutonomousMode(toggle.checked));
+        }
+
+        const modal = document.getElementById('workflowMonitorModal');
+        if (modal) {
+            modal.querySelector('.modal-close').addEventListener('click', () => this.closeMonitor());
+            modal.addEventListener('click', (e) => {
+                if (e.target === modal) this.closeMonitor();
+            });
+
+            document.getElementById('workflowPauseBtn').addEventListener('click', () => this.togglePause());
+            document.getElementById('workflowStopBtn').addEventListener('click', () => this.stop());
+            document.getElementById('workflowOpenConversationBtn').addEventListener('click', () => this.openConversation());
+        }
+    },
+
+    /**
+     * Switch the composer between chat and autonomous goal mode
+     */
+    setAutonomousMode(enabled) {
+        this.autonomousMode = enabled;
+
+        const input = document.getElementById('messageInput');
+        if (input) {
+            input.placeholder = enabled
+                ? 'Describe a goal for SAM to work on autonomously...'
+                : 'Type your message... (Shift+Enter for new line)';
+        }
+
+        const inputArea = document.querySelector('.input-area');
+        if (inputArea) {
+            inputArea.classList.toggle('autonomous', enabled);
+        }
+
+        console.log('[Workflows] Autonomous mode:', enabled);
+    },
+
+    /**
+     * Launch an autonomous workflow for a goal in the given conversation
+     */
+    async launch(goal, sessionId) {
+        try {
+            const response = await API.startAutonomousWorkflow(goal, sessionId);
+            const workflowId = response.workflow_id || response.workflowId || response.id;
+            if (!workflowId) {
+                throw new Error('Server did not return a workflow ID');
+            }
+
+            const workflow = {
+                id: workflowId,
+                goal,
+                sessionId: response.session_id || sessionId,
+                status: response.status || 'running',
+                startedAt: new Date().toISOString(),
+                steps: [],
+                toolCalls: [],
+                result: null,
+                error: null
+            };
+
+            this.workflows[workflowId] = workflow;
+            this.save();
+            this.startPolling();
+
+            Toast.info('Autonomous workflow started');
+            console.log('[Workflows] Launched workflow:', workflowId);
+            return workflow;
+        } catch (error) {
+            console.error('[Workflows] Failed to start workflow:', error);
+            Toast.error('Failed to start autonomous workflow: ' + error.message);
+            throw error;
+        }
+    },
+
+    /**
+     * Workflows that are still in progress
+     */
+    getRunningWorkflows() {
+        return Object.values(this.workflows).filter(w => !this.isTerminal(w.status));
+    },
+
+    /**
+     * Workflows launched from a conversation
+     */
+    getWorkflowsForConversation(sessionId) {
+        return Object.values(this.workflows).filter(w => w.sessionId === sessionId);
+    },
+
+    /**
+     * Check if a status is final
+     */
+    isTerminal(status) {
+        return this.terminalStatuses.includes(status);
+    },
+
+    /**
+     * Start the shared poll loop (no-op if already running)
+     */
+    startPolling() {
+        if (this.pollTimer) return;
+
+        const poll = async () => {
+            await this.pollWorkflows();
+
+            if (this.getRunningWorkflows().length > 0) {
+                this.pollTimer = setTimeout(poll, this.getPollDelay());
+            } else {
+                this.pollTimer = null;
+            }
+        };
+
+        this.pollTimer = setTimeout(poll, 0);
+    },
+
+    /**
+     * Delay before the next poll, backing off while status checks fail
+     */
+    getPollDelay() {
+        const failures = Math.max(0, ...this.getRunningWorkflows().map(w => this.pollFailures[w.id] || 0));
+        return Math.min(this.pollInterval * 2 ** failures, this.maxPollInterval);
+    },
+
+    /**
+     * Poll status of running workflows
+     */
+    async pollWorkflows() {
+        await Promise.all(this.getRunningWorkflows().map(async (workflow) => {
+            try {
+                const status = await API.getWorkflowStatus(workflow.id);
+                delete this.pollFailures[workflow.id];
+                this.applyStatus(workflow, status);
+            } catch (error) {
+                console.error('[Workflows] Failed to get workflow status:', workflow.id, error);
+                if (error.message.includes('404') || error.message.toLowerCase().includes('not found')) {
+                    delete this.pollFailures[workflow.id];
+                    this.applyStatus(workflow, { status: 'failed', error: 'Workflow no longer exists' });
+                    return;
+                }
+
+                // Server errors, network failures, expired auth: give up after a while
+                const failures = (this.pollFailures[workflow.id] || 0) + 1;
+                if (failures >= this.maxPollFailures) {
+                    delete this.pollFailures[workflow.id];
+                    this.applyStatus(workflow, { status: 'failed', error: `Lost contact with the workflow: ${error.message}` });
+                } else {
+                    this.pollFailures[workflow.id] = failures;
+                }
+            }
+        }));
+
+        this.save();
+        if (this.activeWorkflowId) {
+            this.renderMonitor();
+        }
+    },
+
+    /**
+     * Apply a status response to a workflow record
+     */
+    applyStatus(workflow, status) {
+        const previous = workflow.status;
+
+        workflow.status = status.status || workflow.status;
+        workflow.steps = status.steps || workflow.steps;
+        workflow.toolCalls = status.tool_calls || status.toolCalls || this.collectToolCalls(workflow.steps);
+        workflow.result = status.result || status.summary || workflow.result;
+        workflow.error = status.error || workflow.error;
+        workflow.currentStep = status.current_step || status.currentStep || null;
+
+        if (!this.isTerminal(previous) && this.isTerminal(workflow.status)) {
+            this.onFinished(workflow);
+        }
+    },
+
+    /**
+     * Flatten tool calls recorded on steps
+     */
+    collectToolCalls(steps) {
+        return (steps || []).flatMap(step => step.tool_calls || step.toolCalls || []);
+    },
+
+    /**
+     * Report a finished workflow and bring its results into the conversation
+     */
+    onFinished(workflow) {
+        workflow.finishedAt = new Date().toISOString();
+
+        if (workflow.status === 'completed' || workflow.status === 'complete') {
+            Toast.success('Autonomous workflow completed');
+        } else if (workflow.status === 'stopped' || workflow.status === 'cancelled') {
+            Toast.show('Autonomous workflow stopped', 'info');
+        } else {
+            Toast.error('Autonomous workflow failed' + (workflow.error ? ': ' + workflow.error : ''));
+        }
+
+        // Results are written to the launching conversation - refresh it if open
+        if (window.onWorkflowFinished) {
+            window.onWorkflowFinished(workflow);
+        }
+    },
+
+    /**
+     * Pause or resume the workflow shown in the monitor
+     */
+    async togglePause() {
+        const workflow = this.workflows[this.activeWorkflowId];
+        if (!workflow || this.isTerminal(workflow.status)) return;
+
+        try {
+            if (workflow.status === 'paused') {
+                await API.resumeWorkflow(workflow.id);
+                workflow.status = 'running';
+                this.startPolling();
+            } else {
+                await API.pauseWorkflow(workflow.id);
+                workflow.status = 'paused';
+            }
+            this.save();
+            this.renderMonitor();
+        } catch (error) {
+            console.error('[Workflows] Failed to pause/resume workflow:', error);
+            Toast.error('Failed to update workflow: ' + error.message);
+        }
+    },
+
+    /**
+     * Stop the workflow shown in the monitor
+     */
+    async stop() {
+        const workflow = this.workflows[this.activeWorkflowId];
+        if (!workflow || this.isTerminal(workflow.status)) return;
+
+        try {
+            await API.stopWorkflow(workflow.id);
+            this.applyStatus(workflow, { status: 'stopped' });
+            this.save();
+            this.renderMonitor();
+        } catch (error) {
+            console.error('[Workflows] Failed to stop workflow:', error);
+            Toast.error('Failed to stop workflow: ' + error.message);
+        }
+    },
+
+    /**
+     * Jump to the conversation that launched the workflow
+     */
+    async openConversation() {
+        const workflow = this.workflows[this.activeWorkflowId];
+        if (!workflow || !workflow.sessionId) return;
+
+        this.closeMonitor();
+        try {
+            await Conversations.loadConversation(workflow.sessionId);
+        } catch (error) {
+            // Already reported by Conversations
+        }
+    },
+
+    /**
+     * Open the monitor for a workflow
+     */
+    openMonitor(workflowId) {
+        const modal = document.getElementById('workflowMonitorModal');
+        if (!modal || !this.workflows[workflowId]) return;
+
+        this.activeWorkflowId = workflowId;
+        modal.style.display = 'flex';
+        this.renderMonitor();
+    },
+
+    /**
+     * Close the monitor (workflow keeps running)
+     */
+    closeMonitor() {
+        const modal = document.getElementById('workflowMonitorModal');
+        if (modal) modal.style.display = 'none';
+        this.activeWorkflowId = null;
+    },
+
+    /**
+     * Render the monitor for the active workflow
+     */
+    renderMonitor() {
+        const workflow = this.workflows[this.activeWorkflowId];
+        if (!workflow) return;
+
+        document.getElementById('workflowGoal').textContent = workflow.goal;
+
+        const status = document.getElementById('workflowStatus');
+        status.textContent = workflow.status;
+        status.className = `badge workflow-status badge-${this.getStatusTone(workflow.status)}`;
+
+        const current = document.getElementById('workflowCurrentStep');
+        current.textContent = workflow.currentStep ? `Current: ${this.getStepTitle(workflow.currentStep)}` : '';
+
+        // Controls
+        const terminal = this.isTerminal(workflow.status);
+        const pauseBtn = document.getElementById('workflowPauseBtn');
+        pauseBtn.disabled = terminal;
+        pauseBtn.textContent = workflow.status === 'paused' ? '▶ Resume' : '⏸ Pause';
+        document.getElementById('workflowStopBtn').disabled = terminal;
+
+        this.renderTimeline(workflow);
+        this.renderToolCalls(workflow);
+
+        // Result / error
+        const result = document.getElementById('workflowResult');
+        if (workflow.result || workflow.error) {
+            result.style.display = 'block';
+            result.innerHTML = workflow.error && !workflow.result
+                ? `<div class="error-details">${Markdown.escapeHtml(workflow.error)}</div>`
+                : Markdown.render(typeof workflow.result === 'string' ? workflow.result : JSON.stringify(workflow.result, null, 2));
+        } else {
+            result.style.display = 'none';
+        }
+    },
+
+    /**
+     * Render step timeline
+     */
+    renderTimeline(workflow) {
+        const container = document.getElementById('workflowTimeline');
+        if (workflow.steps.length === 0) {
+            container.innerHTML = '<div class="workflow-empty">Waiting for the first step...</div>';
+            return;
+        }
+
+        container.innerHTML = '';
+        workflow.steps.forEach((step, i) => {
+            const stepStatus = step.status || 'completed';
+            const item = document.createElement('div');
+            item.className = `workflow-step ${this.getStatusTone(stepStatus)}`;
+
+            const time = step.started_at || step.startedAt || step.timestamp;
+            item.innerHTML = `
+                <div class="workflow-step-marker"></div>
+                <div class="workflow-step-body">
+                    <div class="workflow-step-title">${i + 1}. ${Markdown.escapeHtml(this.getStepTitle(step))}</div>
+                    <div class="workflow-step-meta">
+                        <span>${Markdown.escapeHtml(stepStatus)}</span>
+                        ${time ? `<span>${new Date(time).toLocaleTimeString()}</span>` : ''}
+                    </div>
+                </div>
+            `;
+            container.appendChild(item);
+        });
+    },
+
+    /**
+     * Render tool calls made by the workflow
+     */
+    renderToolCalls(workflow) {
+        const container = document.getElementById('workflowToolCalls');
+        if (workflow.toolCalls.length === 0) {
+            container.innerHTML = '<div class="workflow-empty">No tool calls yet</div>';
+            return;
+        }
+
+        container.innerHTML = '';
+        workflow.toolCalls.forEach(toolCall => {
+            const name = toolCall.name || toolCall.function?.name || toolCall.tool || 'Tool';
+            const args = toolCall.arguments || toolCall.function?.arguments || toolCall.parameters;
+            container.appendChild(ToolCards.createCard({
+                name,
+                arguments: typeof args === 'string' ? args : JSON.stringify(args || {}),
+                result: toolCall.result ? (typeof toolCall.result === 'string' ? toolCall.result : JSON.stringify(toolCall.result)) : null,
+                status: toolCall.status || (toolCall.result ? 'success' : 'running'),
+                startedAt: 0,
+                finishedAt: 0,
+                decision: null
+            }, false));
+        });
+
+        // Durations aren't tracked for workflow tool calls
+        container.querySelectorAll('.tool-card-duration').forEach(el => el.remove());
+    },
+
+    /**
+     * Get a display title for a step
+     */
+    getStepTitle(step) {
+        if (typeof step === 'string') return step;
+        return step.title || step.description || step.name || 'Step';
+    },
+
+    /**
+     * Map workflow/step status to a tone (success, error, warning, info)
+     */
+    getStatusTone(status) {
+        if (['completed', 'complete', 'success'].includes(status)) return 'success';
+        if (['failed', 'error'].includes(status)) return 'error';
+        if (['paused', 'stopped', 'cancelled'].includes(status)) return 'warning';
+        return 'info';
+    },
+
+    /**
+     * Create the in-chat card linking to a workflow's monitor
+     */
+    createLinkCard(workflow) {
+        const card = document.createElement('div');
+        card.className = 'workflow-link-card';
+        card.innerHTML = `
+            <span class="workflow-link-icon">🤖</span>
+            <span class="workflow-link-text">Autonomous workflow started</span>
+            <button class="btn btn-secondary btn-sm">Open monitor</button>
+        `;
+        card.querySelector('button').addEventListener('click', () => this.openMonitor(workflow.id));
+        return card;
+    },
+
+    /**
+     * Persist workflows (most recent 50)
+     */
+    save() {
+        const records = Object.values(this.workflows)
+            .sort((a, b) => new Date(b.startedAt) - new Date(a.startedAt))
+            .slice(0, 50);
+        localStorage.setItem('sam-web-workflows', JSON.stringify(records));
+    }
+};